@@ -175,7 +175,13 @@ ncp("./src", "./bin/", function (err) {
                 "./src/js/addlisteners_editor.js",
                 "./src/js/solver.js",
                 "./src/js/FastPriorityQueue.js",
-                "./src/js/makegif.js"];
+                "./src/js/makegif.js",
+                "./src/js/replay.js",
+                "./src/js/timeline.js",
+                "./src/js/breakpoints.js",
+                "./src/js/watches.js",
+                "./src/js/coverage.js",
+                "./src/js/profiler.js"];
 
             var corpus = {};
             for (var i = 0; i < files.length; i++) {
@@ -228,6 +234,41 @@ ncp("./src", "./bin/", function (err) {
             fs.writeFileSync('./bin/js/scripts_play_compiled.js', result.code);
             fs.writeFileSync('./bin/js/scripts_play_compiled.js.map', result.map);
 
+            // the solver worker, with the engine scripts it would otherwise load itself
+            files = [
+                "./src/js/solverworker.js",
+                "./src/js/storagewrapper.js",
+                "./src/js/globalVariables.js",
+                "./src/js/debug_off.js",
+                "./src/js/font.js",
+                "./src/js/rng.js",
+                "./src/js/riffwave.js",
+                "./src/js/sfxr.js",
+                "./src/js/codemirror/stringstream.js",
+                "./src/js/colors.js",
+                "./src/js/engine.js",
+                "./src/js/parser.js",
+                "./src/js/compiler.js",
+                "./src/js/solver.js",
+                "./src/js/FastPriorityQueue.js"];
+
+            corpus = {};
+            for (var i = 0; i < files.length; i++) {
+                var fpath = files[i];
+                corpus["source/" + fpath.slice(9)] = fs.readFileSync(fpath, encoding = 'utf-8');
+            }
+
+            var result = await minify(
+                corpus,
+                {
+                    sourceMap: {
+                        filename: "solverworker.js",
+                        url: "solverworker.js.map"
+                    }
+                });
+            fs.writeFileSync('./bin/js/solverworker.js', result.code);
+            fs.writeFileSync('./bin/js/solverworker.js.map', result.map);
+
             await ncp("./src/js", "./bin/js/source", function (err) {
                 if (err) {
                     return console.error(err);
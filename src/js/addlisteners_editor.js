@@ -11,6 +11,9 @@ for (var i=0;i<10;i++) {
 var solveClickLink = document.getElementById("solveClickLink");
 solveClickLink.addEventListener("click", solveClick, false);
 
+var verifyClickLink = document.getElementById("verifyClickLink");
+verifyClickLink.addEventListener("click", verifyClick, false);
+
 var cancelClickLink = document.getElementById("cancelClickLink");
 cancelClickLink.addEventListener("click", cancelClick, false);
 
@@ -32,6 +35,24 @@ levelEditorClickLink.addEventListener("click", levelEditorClick_Fn, false);
 var exportClickLink = document.getElementById("exportClickLink");
 exportClickLink.addEventListener("click", exportClick, false);
 
+var saveReplayClickLink = document.getElementById("saveReplayClickLink");
+saveReplayClickLink.addEventListener("click", saveReplayClick, false);
+
+var loadReplayClickLink = document.getElementById("loadReplayClickLink");
+loadReplayClickLink.addEventListener("click", loadReplayClick, false);
+
+var timelineClickLink = document.getElementById("timelineClickLink");
+timelineClickLink.addEventListener("click", timelineClick, false);
+
+var watchClickLink = document.getElementById("watchClickLink");
+watchClickLink.addEventListener("click", watchClick, false);
+
+var coverageClickLink = document.getElementById("coverageClickLink");
+coverageClickLink.addEventListener("click", coverageClick, false);
+
+var profileClickLink = document.getElementById("profileClickLink");
+profileClickLink.addEventListener("click", profileClick, false);
+
 var exampleDropdown = document.getElementById("exampleDropdown");
 exampleDropdown.addEventListener("change", dropdownChange, false);
 
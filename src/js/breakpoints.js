@@ -0,0 +1,172 @@
+// Breakpoints: click in the gutter of the editor to stop when a rule on that line applies, and
+// right-click a breakpoint to only stop from a given hit on, or when the rule matches a given cell.
+// The engine cannot pause in the middle of a turn, so while any breakpoints are set it records the
+// level after every rule, as verbose_logging does (see isRecordingDebugTimeline() in engine.js).
+// When a rule stops at a breakpoint, the turn still plays to the end, and then the timeline
+// (timeline.js) opens on the rule, showing the level then and the cells the rule matched. > steps on
+// rule by rule from there, and CONTINUE goes to the next place a breakpoint stopped, or back to the
+// game. Without verbose_logging, the levels recorded in a turn are only kept if a breakpoint stopped.
+
+var breakpoints = [];		// { handle, hitCount, cell, hits }, where handle is the CodeMirror line
+var breakpointHits = [];	// the frameIndex of each snapshot where a breakpoint stopped
+var breakpointPending = false;	// stopped this turn, and the timeline has not opened yet
+var breakpointTurnStart = 0;	// the debugger_turnIndex where the levels recorded this turn start
+var breakpointTurnStopped = false;	// whether a breakpoint stopped this turn, to keep what it recorded
+
+editor.setOption("gutters", ["breakpoints", "CodeMirror-linenumbers"]);
+
+// the engine looks breakpoints up by line number, which changes as lines are added and removed
+function updateBreakpointLines() {
+	breakpoints = breakpoints.filter(breakpoint => editor.getLineNumber(breakpoint.handle) !== null);
+	breakpointLines = breakpoints.length === 0 ? null :
+		new Map(breakpoints.map(breakpoint => [editor.getLineNumber(breakpoint.handle) + 1, breakpoint]));
+}
+
+function describeBreakpoint(breakpoint) {
+	var text = breakpoint.hitCount > 1 ? "Stops from hit " + breakpoint.hitCount + " on" : "Stops every time";
+	if (breakpoint.cell !== null) {
+		text += " the rule matches cell (" + breakpoint.cell.x + ";" + breakpoint.cell.y + ")";
+	} else {
+		text += " the rule applies";
+	}
+	return text + ". Right-click to change.";
+}
+
+function setBreakpointMarker(breakpoint) {
+	var marker = document.createElement("span");
+	marker.className = "breakpoint";
+	if (breakpoint.hitCount > 1 || breakpoint.cell !== null) {
+		marker.className += " conditional";
+	}
+	marker.textContent = "●";
+	marker.title = describeBreakpoint(breakpoint);
+	editor.setGutterMarker(breakpoint.handle, "breakpoints", marker);
+}
+
+function findBreakpoint(line) {
+	var handle = editor.getLineHandle(line);
+	return breakpoints.find(breakpoint => breakpoint.handle === handle);
+}
+
+function addBreakpoint(line) {
+	var breakpoint = { handle: editor.getLineHandle(line), hitCount: 1, cell: null, hits: 0 };
+	breakpoints.push(breakpoint);
+	setBreakpointMarker(breakpoint);
+	updateBreakpointLines();
+	return breakpoint;
+}
+
+function toggleBreakpoint(line) {
+	var breakpoint = findBreakpoint(line);
+	if (breakpoint === undefined) {
+		addBreakpoint(line);
+		return;
+	}
+	breakpoints.splice(breakpoints.indexOf(breakpoint), 1);
+	editor.setGutterMarker(breakpoint.handle, "breakpoints", null);
+	updateBreakpointLines();
+}
+
+// ask when the breakpoint on a line should stop, as "3" for the third hit on, and/or "at 4,5" for a cell
+function editBreakpoint(line) {
+	var breakpoint = findBreakpoint(line);
+	var current = breakpoint === undefined ? "1" : breakpoint.hitCount +
+		(breakpoint.cell === null ? "" : " at " + breakpoint.cell.x + "," + breakpoint.cell.y);
+	var answer = prompt("Stop from which hit of the rule on, and optionally only when it matches a cell, " +
+		"counting from 1 at the top left (for example: 3, or 1 at 4,5)", current);
+	if (answer === null) {
+		return;
+	}
+	var match = /^\s*(\d+)?\s*(?:at\s*(\d+)\s*[,;]\s*(\d+))?\s*$/i.exec(answer);
+	if (match === null || match[1] === "0" || match[2] === "0" || match[3] === "0") {
+		consoleError("Could not set the breakpoint on line " + (line + 1) + ": \"" + answer + "\" is not a hit count and/or a cell, like 3 or 1 at 4,5.");
+		return;
+	}
+	if (breakpoint === undefined) {
+		breakpoint = addBreakpoint(line);
+	}
+	breakpoint.hitCount = match[1] === undefined ? 1 : +match[1];
+	breakpoint.cell = match[2] === undefined ? null : { x: +match[2], y: +match[3] };
+	breakpoint.hits = 0;
+	setBreakpointMarker(breakpoint);
+}
+
+// forget the hits, when the console and the timeline are cleared
+function clearBreakpointHits() {
+	breakpoints.forEach(breakpoint => breakpoint.hits = 0);
+	breakpointHits = [];
+	breakpointTurnStart = 0;
+	breakpointTurnStopped = false;
+}
+
+// called by the engine as a turn starts, when it records the level only for breakpoints: forget what
+// the last turn recorded unless a breakpoint stopped in it (or the timeline is showing it), as
+// nothing else can show it
+function startBreakpointTurn() {
+	if (!breakpointTurnStopped && !isTimelineOpen()) {
+		for (var i = breakpointTurnStart; i <= debugger_turnIndex; i++) {
+			delete debug_visualisation_array[i];
+		}
+	}
+	breakpointTurnStart = debugger_turnIndex + 1;
+	breakpointTurnStopped = false;
+}
+
+// called by the engine when a rule on a line with a breakpoint has applied, after it recorded the level
+function checkBreakpoint(level, rule, cellIndexes) {
+	var breakpoint = breakpointLines.get(rule.lineNumber);
+	if (breakpoint.cell !== null) {
+		var x = breakpoint.cell.x - 1;
+		var y = breakpoint.cell.y - 1;
+		if (x >= level.width || y >= level.height || !cellIndexes.includes(x * level.height + y)) {
+			return;
+		}
+	}
+	breakpoint.hits++;
+	if (breakpoint.hits < breakpoint.hitCount) {
+		return;
+	}
+	var snapshot = debug_visualisation_array[debugger_turnIndex][rule.lineNumber];
+	snapshot.matchedCells = cellIndexes.concat([]);
+	breakpointHits.push(snapshot.frameIndex);
+	breakpointTurnStopped = true;
+	// start a new step, so that the rule applying again does not replace this snapshot
+	debugger_turnIndex++;
+	addToDebugTimeline(level, -2);
+	consolePrint("Stopped at the breakpoint on line " + htmlJump(rule.lineNumber) + " (hit " + breakpoint.hits + "). The turn plays to the end, and the timeline then shows the level as it was at the breakpoint.", true);
+	if (!breakpointPending) {
+		breakpointPending = true;
+		setTimeout(function() {
+			breakpointPending = false;
+			openTimeline(snapshot.frameIndex);
+		}, 0);
+	}
+}
+
+// go on to the next place a breakpoint stopped, or back to the game if there are no more
+function continueFromBreakpoint() {
+	var frameIndex = timeline.frames[timeline.position].frameIndex;
+	var next = breakpointHits.find(hit => hit > frameIndex);
+	if (next === undefined) {
+		closeTimeline();
+	} else {
+		seekTimelineFrame(next);
+	}
+}
+
+editor.on("gutterClick", function(cm, line, gutter) {
+	if (gutter === "breakpoints") {
+		toggleBreakpoint(line);
+	}
+});
+
+editor.on("gutterContextMenu", function(cm, line, gutter, event) {
+	if (gutter === "breakpoints") {
+		prevent(event);
+		editBreakpoint(line);
+	}
+});
+
+editor.on("change", updateBreakpointLines);
+
+document.getElementById("timelineContinueClickLink").addEventListener("click", continueFromBreakpoint, false);
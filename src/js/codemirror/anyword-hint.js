@@ -22,7 +22,9 @@
             ["debug", "", "This outputs the compiled instructions whenever you build your file."],
             ["enable_pause", "", "Enable pause menu when Escape key is pressed."],
             ["flickscreen", "8x5", "Setting flickscreen divides each level into WxH grids, and zooms the camera in so that the player can only see one at a time"],
+            ["hide_touch_controls", "", "Hides the on-screen D-pad and buttons shown on touch screens, for games played by tapping."],
             ["homepage", "www.puzzlescript.net", "A link to your homepage!"],
+            ["key_bindings", "up=z left=q", "Changes the keys for up, down, left, right, action, undo and restart, each to one or more keys separated by commas."],
             ["key_repeat_interval", "0.1", "When you hold down a key, how long is the delay between repeated presses getting sent to the game (in seconds)?"],
             ["noaction", "", "Hides the action key (X) instruction from the title screen, and does not respond when the player pressed it (outside of menus and cutscenes and the like)."],
             ["norepeat_action", "", "The action button will only respond to individual presses, and not auto-trigger when held down."],
@@ -31,6 +33,7 @@
             ["realtime_interval", "", "The number indicates how long each realtime frame should be."],
             ["require_player_movement", "", "If the player doesn't move, cancel the whole move."],
             ["run_rules_on_level_start", "", "Applies the rules once on level-load, before the player has moved"],
+            ["save_slots", "", "Adds save slots to the title screen, and export and import of progress as a file"],
             ["scanline", "", "Applies a scanline visual effect"],
             ["text_color", "orange", "Can accept a color name or hex code (in the form #412bbc). Controls the font color of title/message screens, as well as the font color in the website. Background_color is its sibling."],
             ["title", "My Amazing Puzzle Game", "The name of your game. Appears on the title screen."],
@@ -53,6 +56,7 @@
             ["level_select_lock", "", "Level selection will have unsolved levels locked."],
             ["level_select_unlocked_ahead", "1", "Level selection will have N number of unsolved levels unlocked after last solved level."],
             ["level_select_solve_symbol", "x", "Symbol that will be used for solved levels in level select menu"],
+            ["level_select_perfect_symbol", "*", "Symbol that will be used for sections solved in par in level select menu"],
             ["custom_font", "", "Custom font to use for text rendering."],
             ["font_size", "", "Controls the size of the custom_font"], 
             ["local_radius", "X", "Radius around the player to execute rules in"],
@@ -956,6 +956,164 @@ function levelAllObjects(state) {
 	return level;
 }
 
+// characters for new glyphs, leaving out the rule keywords <, >, ^, v, [, ] and |, which make a warning
+var newGlyphCandidates = "!$%&*+-:;?@_{}~0123456789abcdefghijklmnopqrstuwxyzABCDEFGHIJKLMNOPQRSTUWXYZ" +
+	"àáâãäåæçèéêëìíîïðñòóôõöøùúûüýþÿ";
+
+// the cell contents that a single character glyph stands for, with the default background if it has none
+function getGlyphCellMask(state,glyphname) {
+	var glyph = state.glyphDict[glyphname];
+	var glyphmask = new BitVec(STRIDE_OBJ);
+	for (var i=0;i<glyph.length;i++)
+	{
+		var id = glyph[i];
+		if (id>=0) {
+			glyphmask.ibitset(id);
+		}			
+	}
+
+	var backgroundMask = state.layerMasks[state.backgroundlayer];
+	if (glyphmask.bitsClearInArray(backgroundMask.data)) {
+		// If we don't already have a background layer, mix in
+		// the default one.
+		glyphmask.ibitset(state.backgroundid);
+	}
+	return glyphmask;
+}
+
+// names of the objects in a cell, as written in the source, leaving out the default background
+function getCellObjectNames(state,cell) {
+	var ids = [];
+	for (var id=0;id<state.idDict.length;id++) {
+		if (cell.get(id) && id!==state.backgroundid) {
+			ids.push(id);
+		}
+	}
+	if (ids.length===0) {
+		ids.push(state.backgroundid);
+	}
+	return ids.map(function(id) {
+		return state.original_case_names[state.idDict[id]] || state.idDict[id];
+	});
+}
+
+// the first character not already used as a name, to define a new glyph
+function getUnusedGlyph(state,used) {
+	for (var ch of newGlyphCandidates) {
+		var name = state.case_sensitive ? ch : ch.toLowerCase();
+		if (!used.has(name) && !(name in state.glyphDict) && !(name in state.objects)
+				&& !(name in state.synonymsDict) && !(name in state.aggregatesDict) && !(name in state.propertiesDict)) {
+			used.add(name);
+			return ch;
+		}
+	}
+	return null;
+}
+
+// the glyphs to write a level with. Each kind of cell gets the first single character glyph that
+// stands for exactly its objects, or else a new glyph, with the "X = A and B" line for the
+// LEGEND that defines it. Returns { glyphs: {cell data: glyph}, definitions: [line] },
+// or null if there are not enough unused characters.
+function proposeLevelGlyphs(state,level) {
+	var glyphs = {};
+	for (var name of state.glyphOrder) {
+		if (name.length===1 && name in state.glyphDict) {
+			var key = getGlyphCellMask(state,name).data.join(",");
+			if (!(key in glyphs)) {
+				glyphs[key] = name;
+			}
+		}
+	}
+	var used = new Set();
+	var definitions = [];
+	for (var i=0;i<level.n_tiles;i++) {
+		var cell = level.getCell(i);
+		var key = cell.data.join(",");
+		if (!(key in glyphs)) {
+			var ch = getUnusedGlyph(state,used);
+			if (ch===null) {
+				return null;
+			}
+			glyphs[key] = ch;
+			definitions.push(ch + " = " + getCellObjectNames(state,cell).join(" and "));
+		}
+	}
+	return { glyphs: glyphs, definitions: definitions };
+}
+
+var reg_sectionheading = /^\s*(objects|legend|sounds|collisionlayers|rules|winconditions|tags|mappings|levels)\s*$/i;
+
+// how to write a level back into the source lines it was compiled from (as "Apply to source" in the
+// level editor does): level is from state.levels, and contents is what it holds now. Each cell keeps
+// the glyph it had if that still matches, or else gets the one that proposeLevelGlyphs() gives it.
+// Returns { firstLine, lastLine, text } to replace those lines (from 0) with the rows, and the
+// LEGEND lines for new glyphs in definitions, to add after legendLine. Throws an error saying why
+// if the level can't be written.
+function getLevelSourceEdit(state,lines,level,contents) {
+	// the lines of the level, which must be just its rows, each perhaps followed by a comment
+	var firstLine = level.lineNumber-1;
+	var rowLines = [];
+	for (var i=firstLine;i<firstLine+level.height;i++) {
+		var match = i<lines.length ? lines[i].match(/^(\s*)([^\s(]+)(\s*(\(.*)?)$/) : null;
+		if (match===null) {
+			throw new Error(`Could not find the rows of the level at line ${htmlJump(level.lineNumber)}, which may have comments between them. Copy it from the console instead.`);
+		}
+		rowLines.push(match);
+	}
+
+	// choose a glyph for each cell: the one there before if it still matches, else the one proposed
+	var proposal = proposeLevelGlyphs(state,contents);
+	if (proposal===null) {
+		throw new Error("There are no characters left to define a glyph for every kind of cell in the level.");
+	}
+	var definitions = proposal.definitions;
+	var rows = [];
+	for (var y=0;y<contents.height;y++) {
+		var original = y<level.height ? rowLines[y][2] : "";
+		var row = "";
+		for (var x=0;x<contents.width;x++) {
+			var cell = contents.getCell(y+x*contents.height);
+			var ch = original[x];
+			var name = ch && !state.case_sensitive ? ch.toLowerCase() : ch;
+			if (!(name in state.glyphDict && getGlyphCellMask(state,name).equals(cell))) {
+				ch = proposal.glyphs[cell.data.join(",")];
+			}
+			row += ch;
+		}
+		rows.push(row);
+	}
+
+	var legendLine = definitions.length>0 ? findLegendEnd(lines) : -1;
+	if (definitions.length>0 && legendLine<0) {
+		throw new Error("The level needs new glyphs, but there is no LEGEND section to add them to.");
+	}
+
+	// keep anything after the rows, such as comments
+	var text = rows.map(function(row, y) {
+		return y<level.height ? rowLines[y][1]+row+rowLines[y][3] : row;
+	}).join("\n");
+	return { firstLine: firstLine, lastLine: firstLine+level.height-1, text: text, definitions: definitions, legendLine: legendLine };
+}
+
+// the line (from 0) of the source lines after which to add to the legend: the last line of the
+// section that is not blank, or the underline of its heading
+function findLegendEnd(lines) {
+	var legendEnd = -1;
+	var inLegend = false;
+	for (var i=0;i<lines.length;i++) {
+		var line = lines[i].trim();
+		if (reg_sectionheading.test(line)) {
+			inLegend = /legend/i.test(line);
+			if (inLegend) {
+				legendEnd = i;
+			}
+		} else if (inLegend && line.length>0 && (!/^=+$/.test(line) || legendEnd===i-1 && reg_sectionheading.test(lines[i-1]))) {
+			legendEnd = i;
+		}
+	}
+	return legendEnd;
+}
+
 ////
 //also assigns glyphDict
 function levelsToArray(state) {
@@ -963,7 +1121,7 @@ function levelsToArray(state) {
     const links = [];
     //const links = {};
     //const targets = new Set();
-    let section, title, description, gotoFlag, input;
+    let section, title, description, gotoFlag, input, solution, par;
     
     if (state.levels.at(-1).length == 0)
         state.levels.pop();
@@ -1007,6 +1165,23 @@ function levelsToArray(state) {
             });
 		} else if (level[0] == 'input') {
             input = level[1];
+		} else if (level[0] == 'solution') {
+            const moves = parseSolution(level[1] || '');
+            if (!moves || moves.length == 0)
+                logError(`SOLUTION "${level[1]}" is not a solution: use u, l, d and r for the arrow keys, x for action, t to wait for a tick and L(x,y) or R(x,y) to click, as the solver does.`, level[2]);
+            else {
+                if (solution)
+                    logWarning('There is already a SOLUTION for this level, so this one replaces it.', level[2]);
+                solution = { moves: moves, lineNumber: level[2] };
+            }
+		} else if (level[0] == 'par') {
+            if (!/^\d+$/.test(level[1] || '') || +level[1] == 0)
+                logError(`PAR "${level[1]}" is not a number of moves: it needs a whole number greater than 0, like "par 24".`, level[2]);
+            else {
+                if (par)
+                    logWarning('There is already a PAR for this level, so this one replaces it.', level[2]);
+                par = +level[1];
+            }
 		} else {
             if (gotoFlag && links.length == 0) 
                 logWarning('Level unreachable due to previous GOTO.', level[0]);
@@ -1015,6 +1190,10 @@ function levelsToArray(state) {
             levels.at(-1).title = title;
             levels.at(-1).linksTop = links.length;
             if (input) levels.at(-1).input = input;
+            if (solution) levels.at(-1).solution = solution;
+            if (par) levels.at(-1).par = par;
+            solution = null;
+            par = null;
             ++levelNo;
             title = null;
 		}
@@ -1034,6 +1213,24 @@ function levelsToArray(state) {
 	state.links = links;
 }
 
+// split the moves of a SOLUTION level command, written as the solver prints them: u, l, d, r, x for
+// action, t for a tick and L(x,y) or R(x,y) for clicks, with spaces and brackets ignored.
+// Returns the moves in that form, or null if there is anything else.
+function parseSolution(text) {
+    const moves = [];
+    const pattern = /\s+|([LR])\((\d+),(\d+)\)|[()]|([uldrxt])/iy;
+    while (pattern.lastIndex < text.length) {
+        const match = pattern.exec(text);
+        if (!match)
+            return null;
+        if (match[1])
+            moves.push(`${match[1].toUpperCase()}(${match[2]},${match[3]})`);
+        else if (match[4])
+            moves.push(match[4].toLowerCase());
+    }
+    return moves;
+}
+
 function extractSections(state) {
 	var sections = [];
 
@@ -2702,6 +2899,7 @@ function collapseRules(groups) {
             newrule.push(oldrule.globalRule);
             newrule.push(oldrule.isOnce);
             rules[i] = new Rule(newrule);
+            rules[i].stringRep = oldrule.stringRep;    // for reports on the expanded rules, like rule coverage
         }
     }
     matchCache = {}; // clear match cache so we don't slowly leak memory
@@ -3148,6 +3346,31 @@ function twiddleMetaData(state, command = null) {
             }
         }
 
+        if (newmetadata.solver_strategy) {
+            const strategy = newmetadata.solver_strategy.toLowerCase();
+            if (['best', 'bfs', 'astar', 'idastar', 'beam'].includes(strategy))
+                newmetadata.solver_strategy = strategy;
+            else {
+                logErrorNoLine(`Sorry, but solver strategy "${newmetadata.solver_strategy}" is not one of best, bfs, astar, idastar or beam.`);
+                delete newmetadata.solver_strategy;
+            }
+        }
+
+        if (typeof newmetadata.key_bindings == 'string') {
+            // like "up=w,up left=a undo=z,backspace"
+            const bindings = {};
+            for (const arg of newmetadata.key_bindings.split(/\s+/)) {
+                const [name, keys] = arg.toLowerCase().split('=');
+                const keyCodes = (keys || '').split(',').map(getKeyCode);
+                if (!keyControls.some(c => c.name == name))
+                    logErrorNoLine(`Sorry, but "${name}" in key_bindings is not one of ${keyControls.map(c => c.name).join(', ')}.`);
+                else if (!keys || keyCodes.includes(undefined))
+                    logErrorNoLine(`Sorry, but I don't know all the keys in "${arg}" for key_bindings. Use letters, digits, or names like space, enter or up.`);
+                else bindings[name] = keyCodes;
+            }
+            newmetadata.key_bindings = bindings;
+        }
+
         if (newmetadata.tween_snap) {
             const snap = Math.max(parseInt(newmetadata.tween_snap), 1);
             if (snap) newmetadata.tween_snap = snap;
@@ -3821,7 +4044,7 @@ function compile(command, text, randomseed) {
             logWarning("You can't use both level_select_unlocked_ahead and level_select_unlocked_rollover at the same time, so please choose only one!", undefined, true);
         }
 
-        if(state.metadata.level_select === undefined && (state.metadata.level_select_lock !== undefined || state.metadata.level_select_unlocked_ahead !== undefined || state.metadata.level_select_unlocked_rollover !== undefined || state.metadata.continue_is_level_select !== undefined || state.metadata.level_select_solve_symbol !== undefined)) {
+        if(state.metadata.level_select === undefined && (state.metadata.level_select_lock !== undefined || state.metadata.level_select_unlocked_ahead !== undefined || state.metadata.level_select_unlocked_rollover !== undefined || state.metadata.continue_is_level_select !== undefined || state.metadata.level_select_solve_symbol !== undefined || state.metadata.level_select_perfect_symbol !== undefined)) {
             logWarning("You're using level select prelude flags, but didn't define the 'level_select' flag.", undefined, true);
         }
 
@@ -171,7 +171,10 @@ function clearConsole() {
 	objDiv.scrollTop = objDiv.scrollHeight;
 		
 	//clear up debug stuff.
+	if (typeof closeTimeline === 'function') closeTimeline();
+	if (typeof clearBreakpointHits === 'function') clearBreakpointHits();
 	debugger_turnIndex=0;
+	debugger_frameIndex=0;
 	debug_visualisation_array=[];
 	diffToVisualize=null;
 }
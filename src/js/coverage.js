@@ -0,0 +1,87 @@
+// Rule coverage: counts how often each rule applies while the game is played, a replay is played
+// back or VERIFY replays the SOLUTIONs, to find rules that never fire. Rules are counted as the
+// compiler expanded them (for each direction, tag and mapping), and added up by source line.
+// COVERAGE starts counting, and COVERAGE REPORT stops, shows the count for each rule line in the
+// gutter of the editor, and lists the rules that never applied in the console.
+
+var coverageState = null;	// the game being counted, to notice when it is rebuilt
+
+editor.setOption("gutters", editor.getOption("gutters").concat(["coverage"]));
+
+function isCountingCoverage() {
+	return ruleCoverage !== null;
+}
+
+function startCoverage() {
+	if (state === undefined) {
+		consoleError("Run the game first, to count which rules apply.");
+		return;
+	}
+	editor.clearGutter("coverage");
+	ruleCoverage = new Map();
+	coverageState = state;
+	document.getElementById("coverageClickLink").textContent = "COVERAGE REPORT";
+	consolePrint("Counting rule applications. Play the game, play back a replay or VERIFY the solutions, then click COVERAGE REPORT.", true);
+}
+
+// the expanded rules, early then late, grouped by source line in order
+function getCoverageLines() {
+	var lines = new Map();
+	state.rules.concat(state.lateRules).forEach(group => group.forEach(function(rule) {
+		if (!lines.has(rule.lineNumber)) {
+			lines.set(rule.lineNumber, []);
+		}
+		lines.get(rule.lineNumber).push(rule);
+	}));
+	return [...lines.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+function setCoverageMarker(lineNumber, total, rules, unused) {
+	var marker = document.createElement("span");
+	marker.className = total === 0 ? "coverageNone" : unused.length > 0 ? "coverageSome" : "coverageAll";
+	marker.textContent = total;
+	marker.title = total + " applications of " + rules.length + (rules.length === 1 ? " rule" : " expanded rules") +
+		(unused.length > 0 && unused.length < rules.length ? ", " + unused.length + " of which never applied" : "");
+	editor.setGutterMarker(lineNumber - 1, "coverage", marker);
+}
+
+// stop counting, and show the counts in the gutter and what never applied in the console
+function reportCoverage() {
+	var counts = ruleCoverage;
+	ruleCoverage = null;
+	document.getElementById("coverageClickLink").textContent = "COVERAGE";
+	if (state !== coverageState) {
+		consolePrint(htmlClass("warningText", "The game was rebuilt while counting, so rules that applied before then are not counted."), true);
+	}
+
+	var ruleCount = 0;
+	var appliedCount = 0;
+	var report = [];
+	getCoverageLines().forEach(function([lineNumber, rules]) {
+		var unused = rules.filter(rule => !counts.has(rule));
+		var total = rules.reduce((sum, rule) => sum + (counts.get(rule) || 0), 0);
+		ruleCount += rules.length;
+		appliedCount += rules.length - unused.length;
+		if (lineNumber <= editor.lineCount()) {
+			setCoverageMarker(lineNumber, total, rules, unused);
+		}
+		if (unused.length === rules.length) {
+			report.push("Line " + htmlJump(lineNumber) + " never applied" +
+				(rules.length > 1 ? " (" + rules.length + " expanded rules)." : "."));
+		} else if (unused.length > 0) {
+			report.push("Line " + htmlJump(lineNumber) + " applied " + total + " times, but " + unused.length + " of its " +
+				rules.length + " expanded rules never did:<br>" + unused.map(rule => "&nbsp;&nbsp;" + rule.stringRep).join("<br>"));
+		}
+	});
+
+	consolePrint("Rule coverage: " + appliedCount + " of " + ruleCount + " rules applied.", true);
+	report.forEach(line => consolePrint(line, true));
+}
+
+function toggleCoverage() {
+	if (isCountingCoverage()) {
+		reportCoverage();
+	} else {
+		startCoverage();
+	}
+}
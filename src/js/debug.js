@@ -9,8 +9,13 @@ var IDE=true;
 solving = false;
 
 var debugger_turnIndex=0;
+var debugger_frameIndex=0;
 var debug_visualisation_array=[];
 var diffToVisualize=null;
+var ruleProfile=null;		// the times and counts being gathered, while profiling (see profiler.js)
+var ruleCoverage=null;		// rule => number of times it applied, while counting (see coverage.js)
+var watches=[];			// the names and cells being watched (see watches.js)
+var breakpointLines=null;	// line number => breakpoint, while any are set (see breakpoints.js)
 
 function convertLevelToString() {
 	var out = '';
@@ -4,6 +4,10 @@ var canDump=false;
 var canOpenEditor=false;
 var IDE=false;
 const diffToVisualize=null;
+const breakpointLines=null;
+const watches=[];
+const ruleCoverage=null;
+const ruleProfile=null;
 
 function stripTags(str) {
 	var div = document.createElement("div");
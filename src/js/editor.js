@@ -435,6 +435,7 @@ function addToDebugTimeline(level,lineNumber){
 		height:level.height,
 		layerCount:level.layerCount,
 		turnIndex:debugger_turnIndex,
+		frameIndex:debugger_frameIndex++,
 		lineNumber:lineNumber,
 		objects:new Int32Array(level.objects),
 		movements:new Int32Array(level.movements),
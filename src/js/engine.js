@@ -49,6 +49,8 @@ function getPauseScreen(state) {
 		"resume game",
 		!state.metadata.norestart ? "replay level from the start" : null,
 		state.metadata.level_select ? "go to level select screen" : null,
+		"keyboard settings",
+		"controller settings",
 		"exit to title screen",
 	].filter(l => l != null);
 
@@ -58,6 +60,41 @@ function getPauseScreen(state) {
 	};
 }
 
+function getKeyboardScreen(inserts) {
+	const lines = [
+		"[ ESC: Back ]                ",
+		"Keyboard Settings",
+		...inserts,
+	];
+	return {
+		lines: lines,
+		options: fillRange(2, lines.length),
+	};
+}
+
+function getSaveScreen(inserts) {
+	const lines = [
+		"[ ESC: Back ]                ",
+		"Save Slots",
+		...inserts,
+	];
+	return {
+		lines: lines,
+		options: fillRange(2, lines.length),
+	};
+}
+
+function getControllerScreen(inserts) {
+	const lines = [
+		"[ ESC: Back ]                ",
+		...inserts,
+	];
+	return {
+		lines: lines,
+		options: fillRange(1, lines.length),
+	};
+}
+
 function getLevelSelectScreen(inserts) {
 	const lines = [
 		"[ ESC: Back ]                ",
@@ -72,10 +109,42 @@ function getLevelSelectScreen(inserts) {
 	return { lines: lines, options: options };
 }
 
+// the controls the keyboard can press, as the key that checkKey() handles for each, and the keys
+// that press it unless the game (with key_bindings) or the player rebinds them
+const keyControls = [
+	{ name: "up", keyCode: 38, keys: [38, 87] },			// up arrow, W
+	{ name: "down", keyCode: 40, keys: [40, 83] },			// down arrow, S
+	{ name: "left", keyCode: 37, keys: [37, 65] },			// left arrow, A
+	{ name: "right", keyCode: 39, keys: [39, 68] },			// right arrow, D
+	{ name: "action", keyCode: 88, keys: [88, 32, 13] },	// X, space, enter
+	{ name: "undo", keyCode: 90, keys: [90, 85] },			// Z, U
+	{ name: "restart", keyCode: 82, keys: [82] },			// R
+];
+
+// names of keys other than letters and digits
+const keyCodeNames = {
+	8: "Backspace", 9: "Tab", 13: "Enter", 32: "Space", 37: "Left", 38: "Up", 39: "Right", 40: "Down", 
+	186: ";", 187: "=", 188: ",", 189: "-", 190: ".", 191: "/", 192: "`", 219: "[", 220: "\\", 221: "]", 222: "'",
+};
+
+function getKeyName(keyCode) {
+	return keyCodeNames[keyCode] || 
+		((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90) ? String.fromCharCode(keyCode) : `key${keyCode}`);
+}
+
+// the key code for a key name, as written in key_bindings, or undefined
+function getKeyCode(name) {
+	if (/^[a-z0-9]$/i.test(name))
+		return name.toUpperCase().charCodeAt(0);
+	const keyCode = Object.keys(keyCodeNames).find(k => keyCodeNames[k].toLowerCase() == name.toLowerCase());
+	return keyCode && +keyCode;
+}
+
 const MENUITEM_CONTINUE = 'Continue';
 const MENUITEM_LEVELSELECT = 'Level Select';
 const MENUITEM_NEWGAME = 'New Game';
 const MENUITEM_STARTGAME = 'Start Game';
+const MENUITEM_SAVESLOTS = 'Save Slots';
 
 const TITLE_WIDTH = 34;
 const TITLE_HEIGHT = 13;
@@ -83,19 +152,29 @@ const TITLE_HEIGHT = 13;
 var titleImage=[];
 var textMode=true;
 var titleScreen=true;
-var titleMode=0;//1 means title screen with options, 2 means level select, 3 means pause screen
+var titleMode=0;//1 means title screen with options, 2 means level select, 3 means pause screen, 4 means controller screen, 5 means keyboard screen, 6 means save screen
 var titleSelection=0;
 var titleSelected=false;
 var hoverSelection=-1; //When mouse controls are enabled, over which row the mouse is hovering. -1 when disabled.
 let lineColorOverride = [];		// a sparse array of line numbers and colours to use
 let linkStack = [];				// where a link goto came from
 
+// Progress is saved in one of several slots, each with its own storage keys. Slot 1 uses the keys
+// from before there were slots, so progress saved then is still there.
+const SAVE_SLOT_COUNT = 3;
+let saveSlot = 1;
+
+function getSaveKey(slot = saveSlot) {
+	return slot == 1 ? document.URL : document.URL + "_slot" + slot;
+}
+
 // restore saved level, checkpoint, solved sections on startup
 function doSetupTitleScreenLevelContinue(){
     try {
-        if (storage_has(document.URL)) {
-            if (storage_has(document.URL+'_checkpoint')) {
-                var backupStr = storage_get(document.URL+'_checkpoint');
+		saveSlot = Math.min(Math.max(+storage_get(document.URL + "_slot") || 1, 1), SAVE_SLOT_COUNT);
+        if (storage_has(getSaveKey())) {
+            if (storage_has(getSaveKey()+'_checkpoint')) {
+                var backupStr = storage_get(getSaveKey()+'_checkpoint');
                 curlevelTarget = JSON.parse(backupStr);
 				if (debugSwitch.includes('menu')) console.log(`doSetupTitleScreenLevelContinue `, 'curlevelTarget=', curlevelTarget);
                 
@@ -105,10 +184,11 @@ function doSetupTitleScreenLevelContinue(){
                 }
                 curlevelTarget.dat = new Int32Array(arr);
             }
-            curLevelNo = +storage_get(document.URL); 
-			if (storage_has(document.URL+"_sections")) {
-				solvedSections = JSON.parse(storage_get(document.URL + "_sections"));
+            curLevelNo = +storage_get(getSaveKey()); 
+			if (storage_has(getSaveKey()+"_sections")) {
+				solvedSections = JSON.parse(storage_get(getSaveKey() + "_sections"));
 			}
+			linkStack = storage_has(getSaveKey()+"_links") ? parseLinkStack(storage_get(getSaveKey()+"_links")) : [];
 		}
     } catch(ex) {
     }
@@ -121,7 +201,7 @@ function showContinueOptionOnTitleScreen(){
 }
 
 function hasStartedTheGame() {
-	return (curLevelNo>0 || curlevelTarget !== null || storage_has(document.URL+'_checkpoint')) && (curLevelNo in state.levels);
+	return (curLevelNo>0 || curlevelTarget !== null || storage_has(getSaveKey()+'_checkpoint')) && (curLevelNo in state.levels);
 }
 
 function hasFinishedTheGame() {
@@ -158,12 +238,17 @@ function isLevelSelectOptionSelected() {
 	return state.metadata.continue_is_level_select && titleSelection == MENUITEM_CONTINUE || titleSelection == MENUITEM_LEVELSELECT;
 }
 
+function isSaveSlotsOptionSelected() {
+	return titleSelection == MENUITEM_SAVESLOTS;
+}
+
 function generateTitleScreen(hoverLine, scrollIncrement, selectLine) {
 	if (debugSwitch.includes('menu')) console.log(`generateTitleScreen()`, 'hoverLine=', hoverLine, 'scrollIncrement=', scrollIncrement, 'selectLine=' , selectLine);
 	lineColorOverride = [];
   	tryLoadCustomFont();
 
-	titleMode=showContinueOptionOnTitleScreen()?1:0;
+	// with save slots there is always a choice to make, as for a game already started
+	titleMode=showContinueOptionOnTitleScreen()||state.metadata.save_slots?1:0;
 
 	if (state.levels.length===0) {
 		titleImage = fillAndHighlight(getIntroScreen("Please select a game"));
@@ -188,6 +273,8 @@ function generateTitleScreen(hoverLine, scrollIncrement, selectLine) {
 		if (playedGameBefore && !hasFinishedTheGame()) {
 			options.push(MENUITEM_NEWGAME);
 		}
+		if (state.metadata.save_slots)
+			options.push(MENUITEM_SAVESLOTS);
 
 		const screen = getStartScreen(options);
 		if (levelSelectScrollPos == 0)
@@ -213,10 +300,16 @@ function generateTitleScreen(hoverLine, scrollIncrement, selectLine) {
 			setImage(10 + x, t);
 		})
 	} else {
+		// the first key for each control, unless they are all the defaults
+		const bindings = getKeyBindings();
+		const rebound = keyControls.some(c => bindings[c.name] != c.keys);
+		const key = name => !rebound ? { up: "Arrow keys or WASD", action: "X", restart: "R", undo: "Z" }[name]
+			: bindings[name].length > 0 ? getKeyName(bindings[name][0]).toUpperCase() : "?";
 		const tclick = state.metadata.mouse_drag || state.metadata.mouse_rdrag ? " Click, Tap, or Drag to interact" : " Click or Tap to interact";
-		setImage(10, IsMouseGameInputEnabled() ? tclick : " Arrow keys or WASD to move");
-		setImage(11, (state.metadata.noaction ? " X to select" : " X to action") + (state.metadata.norestart ? "" : ", R to restart"));
-		const tundo = IsMouseGameInputEnabled() ? " Z or Middle Mouse Button to undo" : " Z to undo";
+		const tmove = rebound ? ` ${["up", "left", "down", "right"].map(key).join("/")} to move` : ` ${key("up")} to move`;
+		setImage(10, IsMouseGameInputEnabled() ? tclick : tmove);
+		setImage(11, ` ${key("action")} to ${state.metadata.noaction ? "select" : "action"}` + (state.metadata.norestart ? "" : `, ${key("restart")} to restart`));
+		const tundo = IsMouseGameInputEnabled() ? ` ${key("undo")} or Middle Mouse Button to undo` : ` ${key("undo")} to undo`;
 		setImage(12, (state.metadata.noundo ? " " : tundo));
 	}
 
@@ -304,6 +397,12 @@ function selectPauseScreen(lineNo) {
 			titleSelection = null;
 			gotoLevelSelectScreen();
 		} : null,
+		() => {
+			goToKeyboardScreen();
+		},
+		() => {
+			goToControllerScreen();
+		},
 		() => {
 			goToTitleScreen();
 		}
@@ -313,6 +412,352 @@ function selectPauseScreen(lineNo) {
 		options[pauseSelection]();
 }
 
+let keyboardLine = 2;			// line highlighted on the keyboard screen
+let keyboardListening = null;	// name of the control waiting for a key to rebind it to
+let playerKeyBindings;			// control name -> key codes, as chosen by the player, null for none
+
+// the keys for each control: as the player chose, else as the game chose, else the default
+function getKeyBindings() {
+	if (playerKeyBindings === undefined) {
+		try {
+			playerKeyBindings = JSON.parse(storage_get(document.URL + "_keys"));
+		} catch (error) {
+			playerKeyBindings = null;
+		}
+	}
+	const gameBindings = state.metadata.key_bindings || {};
+	const bindings = {};
+	for (const control of keyControls) 
+		bindings[control.name] = (playerKeyBindings && playerKeyBindings[control.name]) || gameBindings[control.name] || control.keys;
+	return bindings;
+}
+
+// make a key the only one for a control, taking it from any other, and save the bindings for this game
+function bindKey(name, keyCode) {
+	const bindings = getKeyBindings();
+	for (const control in bindings)
+		bindings[control] = bindings[control].filter(k => k != keyCode);
+	bindings[name] = [keyCode];
+	playerKeyBindings = bindings;
+	storage_set(document.URL + "_keys", JSON.stringify(bindings));
+}
+
+function resetKeyBindings() {
+	playerKeyBindings = null;
+	storage_remove(document.URL + "_keys");
+}
+
+function goToKeyboardScreen() {
+	titleSelected = false;
+	timer = 0;
+	quittingTitleScreen = false;
+	titleMode = 5;
+	titleScreen = true;
+	textMode = true;
+	keyboardLine = 2;
+	keyboardListening = null;
+	generateKeyboardScreen();
+}
+
+// the keyboard screen: the keys for each control, and a reset
+function generateKeyboardScreen(hoverLine, scrollIncrement) {
+	if (debugSwitch.includes('menu')) console.log(`generateKeyboardScreen()`, hoverLine, scrollIncrement);
+	lineColorOverride = [];
+	const bindings = getKeyBindings();
+	const inserts = [""];
+	for (const control of keyControls) {
+		const keys = keyboardListening == control.name ? "press a key..." 
+			: bindings[control.name].map(getKeyName).join(" ") || "-";
+		inserts.push(`${control.name.padEnd(8)}${keys.padEnd(18).slice(0, 18)}`);
+	}
+	inserts.push("");
+	inserts.push("reset to defaults");
+	const screen = getKeyboardScreen(inserts);
+	screen.options = screen.options.filter(n => screen.lines[n]);
+
+	if (!screen.options.includes(keyboardLine))
+		keyboardLine = screen.options[0];
+	else if (scrollIncrement) {
+		const next = screen.options.indexOf(keyboardLine) + scrollIncrement;
+		if (next >= 0 && next < screen.options.length)
+			keyboardLine = screen.options[next];
+	}
+
+	titleImage = fillAndHighlight(screen, keyboardLine, hoverLine);
+	titleImage[0] = (hoverLine == 0 ? "[  ESC:Back  ]" : " [ ESC:Back ] ").padEnd(TITLE_WIDTH);
+	redraw();
+}
+
+// choose a line on the keyboard screen
+function selectKeyboardScreen(lineNo) {
+	if (lineNo == 0) {
+		goToPauseScreen();
+		return;
+	}
+	const control = keyControls[lineNo - 3];
+	if (control) {
+		keyboardLine = lineNo;
+		keyboardListening = control.name;
+	} else if (lineNo == keyControls.length + 4) {
+		keyboardLine = lineNo;
+		resetKeyBindings();
+	}
+	generateKeyboardScreen();
+}
+
+let controllerIndex = -1;		// index of the gamepad being configured
+let controllerLine = 1;			// line highlighted on the controller screen
+let controllerListening = null;	// name of the control waiting for a button or axis to remap it to
+
+function goToControllerScreen() {
+	titleSelected = false;
+	timer = 0;
+	quittingTitleScreen = false;
+	titleMode = 4;
+	titleScreen = true;
+	textMode = true;
+	controllerLine = 1;
+	controllerListening = null;
+	generateControllerScreen();
+}
+
+// the controller screen: which gamepad, what each control is mapped to, the dead zone, and a reset
+function generateControllerScreen(hoverLine, scrollIncrement) {
+	if (debugSwitch.includes('menu')) console.log(`generateControllerScreen()`, hoverLine, scrollIncrement);
+	lineColorOverride = [];
+	const gamepads = getConnectedGamepads();
+	let gamepad = gamepads.find(g => g.index == controllerIndex);
+	if (!gamepad) {
+		gamepad = gamepads[0];
+		controllerIndex = gamepad ? gamepad.index : -1;
+		controllerListening = null;
+	}
+
+	const inserts = [];
+	if (gamepad) {
+		const mapping = getGamepadMapping(gamepad.id);
+		inserts.push(`< ${gamepad.id.slice(0, 24)} >`);
+		for (const control of gamepadControls) {
+			const inputs = controllerListening == control.name ? "press a button..." 
+				: gamepadInputNames(mapping.controls[control.name]) || "-";
+			inserts.push(`${control.name.padEnd(8)}${inputs.padEnd(18).slice(0, 18)}`);
+		}
+		inserts.push(`< dead zone ${mapping.deadZone.toFixed(1)} >`);
+		inserts.push("reset to defaults");
+	} else {
+		inserts.push("press a button on a controller");
+	}
+	const screen = getControllerScreen(inserts);
+
+	if (!screen.options.includes(controllerLine))
+		controllerLine = screen.options[0];
+	else if (scrollIncrement && screen.options.includes(controllerLine + scrollIncrement))
+		controllerLine += scrollIncrement;
+
+	titleImage = fillAndHighlight(screen, controllerLine, hoverLine);
+	titleImage[0] = (hoverLine == 0 ? "[  ESC:Back  ]" : " [ ESC:Back ] ").padEnd(TITLE_WIDTH);
+	redraw();
+}
+
+// choose a line on the controller screen, or change it by dir (-1 or 1) with left and right
+function selectControllerScreen(lineNo, dir = 1) {
+	if (lineNo == 0) {
+		goToPauseScreen();
+		return;
+	}
+	const gamepads = getConnectedGamepads();
+	const gamepad = gamepads.find(g => g.index == controllerIndex);
+	if (!gamepad)
+		return;
+	controllerLine = lineNo;
+	const mapping = getGamepadMapping(gamepad.id);
+	const control = gamepadControls[lineNo - 2];
+	if (lineNo == 1) {
+		const next = (gamepads.indexOf(gamepad) + dir + gamepads.length) % gamepads.length;
+		controllerIndex = gamepads[next].index;
+	} else if (control) {
+		controllerListening = control.name;
+		ignoreGamepadInputs(gamepad);
+	} else if (lineNo == gamepadControls.length + 2) {
+		mapping.deadZone = clamp(Math.round(mapping.deadZone * 10 + dir) / 10, 0.1, 0.9);
+		saveGamepadMapping(gamepad.id);
+	} else {
+		resetGamepadMapping(gamepad.id);
+	}
+	generateControllerScreen();
+}
+
+// the link stack as saved: the undo history is not, so a level can't be undone back into from a link
+function stringifyLinkStack(links) {
+	return JSON.stringify(links.map(link => ({
+		backup: Object.assign({}, link.backup, { dat: Array.from(link.backup.dat) }),
+		backupTop: null,
+	})));
+}
+
+function parseLinkStack(text) {
+	return JSON.parse(text).map(link => {
+		link.backup.dat = new Int32Array(link.backup.dat);
+		return link;
+	});
+}
+
+const SAVE_FORMAT = "puzzlescript-save";
+const SAVE_VERSION = 1;
+
+let saveLine = 3;			// line highlighted on the save screen
+let saveMessage = "";		// the result of the last choice on the save screen
+
+function goToSaveScreen() {
+	titleSelected = false;
+	timer = 0;
+	quittingTitleScreen = false;
+	titleMode = 6;
+	titleScreen = true;
+	textMode = true;
+	saveLine = 2 + saveSlot;
+	saveMessage = "";
+	generateSaveScreen();
+}
+
+// what is saved in a slot, to tell them apart
+function getSaveSlotSummary(slot) {
+	const key = getSaveKey(slot);
+	if (!storage_has(key))
+		return "empty";
+	const levelNo = +storage_get(key);
+	const level = state.levels.slice(levelNo).find(l => l.title);
+	let summary = level ? level.title : "finished";
+	if (state.metadata.level_select && storage_has(key + "_sections"))
+		summary += ` ${JSON.parse(storage_get(key + "_sections")).length}/${state.sections.length}`;
+	return summary;
+}
+
+// the save screen: the slots, with the one in use marked, export and import, and the last result
+function generateSaveScreen(hoverLine, scrollIncrement) {
+	if (debugSwitch.includes('menu')) console.log(`generateSaveScreen()`, hoverLine, scrollIncrement);
+	lineColorOverride = [];
+	const inserts = [""];
+	for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++)
+		inserts.push(`${slot == saveSlot ? "*" : " "} slot ${slot}  ${getSaveSlotSummary(slot).slice(0, 18).padEnd(18)}`);
+	inserts.push("");
+	inserts.push("export to a file");
+	inserts.push("import from a file");
+	const screen = getSaveScreen(inserts);
+	screen.options = screen.options.filter(n => screen.lines[n]);
+
+	if (!screen.options.includes(saveLine))
+		saveLine = screen.options[0];
+	else if (scrollIncrement) {
+		const next = screen.options.indexOf(saveLine) + scrollIncrement;
+		if (next >= 0 && next < screen.options.length)
+			saveLine = screen.options[next];
+	}
+
+	titleImage = fillAndHighlight(screen, saveLine, hoverLine);
+	titleImage[0] = (hoverLine == 0 ? "[  ESC:Back  ]" : " [ ESC:Back ] ").padEnd(TITLE_WIDTH);
+	wordwrap(saveMessage, TITLE_WIDTH).slice(0, 3).forEach((line, x) => {
+		titleImage[10 + x] = centerText(line.trim(), TITLE_WIDTH);
+	});
+	redraw();
+}
+
+// choose a line on the save screen
+function selectSaveScreen(lineNo) {
+	if (lineNo == 0) {
+		goToTitleScreen();
+		return;
+	}
+	const slot = lineNo - 2;
+	if (slot >= 1 && slot <= SAVE_SLOT_COUNT) {
+		saveLine = lineNo;
+		selectSaveSlot(slot);
+		saveMessage = `Playing slot ${slot}.`;
+	} else if (lineNo == SAVE_SLOT_COUNT + 4) {
+		saveLine = lineNo;
+		if (storage_has(getSaveKey())) {
+			exportSaveFile();
+			saveMessage = `Exported slot ${saveSlot}.`;
+		} else {
+			saveMessage = `Slot ${saveSlot} is empty, so there is nothing to export.`;
+		}
+	} else if (lineNo == SAVE_SLOT_COUNT + 5) {
+		saveLine = lineNo;
+		importSaveFile();
+	}
+	generateSaveScreen();
+}
+
+// use a save slot, and load the progress in it
+function selectSaveSlot(slot) {
+	storage_set(document.URL + "_slot", slot);
+	curLevelNo = 0;
+	curlevelTarget = null;
+	solvedSections = [];
+	linkStack = [];
+	doSetupTitleScreenLevelContinue();
+}
+
+// the progress in the current slot, to export as a file: the level, checkpoint, solved sections and
+// links as saved, and the level statistics
+function makeSaveData() {
+	const key = getSaveKey();
+	return {
+		format: SAVE_FORMAT,
+		version: SAVE_VERSION,
+		title: state.metadata.title || null,
+		level: +storage_get(key),
+		checkpoint: JSON.parse(storage_get(key + "_checkpoint")),
+		sections: JSON.parse(storage_get(key + "_sections")) || [],
+		links: JSON.parse(storage_get(key + "_links")) || [],
+		stats: getLevelStats(),
+	};
+}
+
+// check the text of a save file and return the save, or throw an error saying what is wrong
+function parseSaveData(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new Error("it is not a save file");
+	}
+	if (data === null || typeof data !== "object" || data.format !== SAVE_FORMAT)
+		throw new Error("it is not a save file");
+	if (!Number.isInteger(data.version) || data.version < 1 || data.version > SAVE_VERSION)
+		throw new Error(`it is save version ${data.version}, and this game can only load up to version ${SAVE_VERSION}`);
+	if (data.title !== (state.metadata.title || null))
+		throw new Error(`it is a save of ${data.title || "an untitled game"}`);
+	if (!Number.isInteger(data.level) || !(data.level in state.levels) || !Array.isArray(data.sections)
+			|| !Array.isArray(data.links) || (data.checkpoint !== null && typeof data.checkpoint !== "object")
+			|| (data.stats != null && typeof data.stats !== "object"))
+		throw new Error("its level, checkpoint, sections, links or statistics are missing or invalid");
+	return data;
+}
+
+// put an imported save in the current slot, and keep the statistics of the levels solved most often
+function applySaveData(data) {
+	const key = getSaveKey();
+	storage_set(key, data.level);
+	if (data.checkpoint !== null)
+		storage_set(key + "_checkpoint", JSON.stringify(data.checkpoint));
+	else
+		storage_remove(key + "_checkpoint");
+	storage_set(key + "_sections", JSON.stringify(data.sections));
+	if (data.links.length > 0)
+		storage_set(key + "_links", JSON.stringify(data.links));
+	else
+		storage_remove(key + "_links");
+
+	const allStats = getLevelStats();
+	for (const levelNo in data.stats || {}) {
+		if (!allStats[levelNo] || allStats[levelNo].solved < data.stats[levelNo].solved)
+			allStats[levelNo] = data.stats[levelNo];
+	}
+	storage_set(key + "_stats", JSON.stringify(allStats));
+	selectSaveSlot(saveSlot);
+}
+
 function centerText(text, len, fill = " ") {
 	return !text ? fill.repeat(len)
 		: text.length >= len ? text.slice(0, len)
@@ -424,13 +869,21 @@ function generateLevelSelectScreen(hoverLine, scrollIncrement, selectLine) {
 	titleSelection = levelHighlightLine - 3 + levelSelectScrollPos;
 
 	const solved_symbol = state.metadata.level_select_solve_symbol || "X";
+	const perfect_symbol = state.metadata.level_select_perfect_symbol || "*";
+	const allStats = getLevelStats();
+	const bestMoves = state.sections.map((section,i) => getSectionBestMoves(allStats, i));
+	const showBest = bestMoves.some(best => best !== null);
 
 	console.log(`titleSelected=${titleSelected} titleSelection=${titleSelection}`)
 	const lines = state.sections.map((section,i) => {
 		const solved = (solvedSections.indexOf(section.name) >= 0);
+		const symbol = !solved ? " " : isSectionPerfect(allStats, i) ? perfect_symbol : solved_symbol;
 		const selected = (i == selectLine + levelSelectScrollPos - 3);
 		const locked = (unlockedUntil >= 0 && i > unlockedUntil);
 		let name = locked ? "*".repeat(section.name.length) : section.name.substring(0, 24);
+		// make room for the fewest moves to solve the section, once any have been solved
+		if (showBest)
+			name = name.substring(0, 19).padEnd(19) + (bestMoves[i] === null || locked ? "" : String(Math.min(bestMoves[i], 99999))).padStart(5);
 		//console.log(section, `i=${i} solved=${solved} locked=${locked} selected=${selected}`);
 
 		// kludge to avoid selecting locked level
@@ -444,9 +897,9 @@ function generateLevelSelectScreen(hoverLine, scrollIncrement, selectLine) {
 		if (selected && !locked) {
 			if (i >= levelSelectScrollPos && i < levelSelectScrollPos + amountOfLevelsOnScreen)
 				titleSelection = i;
-			return (solved ? solved_symbol : " ") + "#" + name.padEnd(24);
+			return symbol + "#" + name.padEnd(24);
 		}
-		return (solved ? solved_symbol : " ") + " " + name.padEnd(24);
+		return symbol + " " + name.padEnd(24);
 	});
 
 	const showLines = lines.slice(levelSelectScrollPos,levelSelectScrollPos + amountOfLevelsOnScreen);
@@ -731,6 +1184,7 @@ function loadLevelFromLevelDat(state,leveldat,randomseed,clearinputhistory) {
 	    	backups = [];
 		restartTarget=backupLevel();
 		keybuffer=[];
+		startLevelAttempt();
 
 	    if ('run_rules_on_level_start' in state.metadata) {
 			runrulesonlevelstart_phase=true;
@@ -1384,6 +1838,7 @@ function DoRestart(force) {
 	restarting=true;
 	if (force!==true) {
 		addUndoState(backupLevel());
+		countLevelRestart();
 	}
 
 	if (verbose_logging) {
@@ -1451,6 +1906,9 @@ function DoUndo(force,ignoreDuplicates, resetTween = true, resetAutoTick = true,
     if (! force || forceSFX) {
       tryPlayUndoSound();
     }
+    if (! force) {
+      countLevelUndo();
+    }
   }
 }
 
@@ -2489,6 +2947,7 @@ function generateTuples(lists) {
 
 
 Rule.prototype.findMatches = function() {	
+	perfCounters.finds++;
 	if ( ! this.ruleMask.bitsSetInArray(curLevel.mapCellContents.data) )
 		return [];
 
@@ -2614,13 +3073,18 @@ Rule.prototype.applyAt = function(level,tuple,check,delta) {
     }
 	perfCounters.applied++;
 
+	if (result && isRecordingDebugTimeline()) {
+		var inspect_ID =  addToDebugTimeline(level,rule.lineNumber);
+		if (breakpointLines !== null && breakpointLines.has(rule.lineNumber))
+			checkBreakpoint(level, rule, cellIndexes);
+	}
+
   	if (verbose_logging && result){
     	var ruleDirection = dirMaskName[rule.direction];
     	if (!rule.directional()){
       		ruleDirection="";
     	}
 
-		var inspect_ID =  addToDebugTimeline(level,rule.lineNumber);
 		const locations = cellIndexes.map(i => `(${1 + i % level.width};${1 + ~~(i / level.width)})`).join(', ');
 		var gapMessage= (debugSwitch.includes('gaploc')) ? ` at ${locations}` : '';
 
@@ -2681,9 +3145,17 @@ Rule.prototype.tryApply = function(level) {
     if (matches.length>0) {
       this.queueCommands();
     }
+	countRuleCoverage(this, result);
     return result;
 };
 
+// count an application of the rule for rule coverage (see coverage.js), when it changed the level or
+// has commands to run, but not while the solver searches
+function countRuleCoverage(rule, modified) {
+	if (ruleCoverage !== null && (!solving || verifying) && (modified || rule.commands.length > 0))
+		ruleCoverage.set(rule, (ruleCoverage.get(rule) || 0) + 1);
+}
+
 Rule.prototype.queueCommands = function() {
 	var commands = this.commands;
 	perfCounters.commands += commands.length;	
@@ -2824,6 +3296,8 @@ function twiddleMetadataExtras(resetAutoTick = true) {
     state.author_color = state.metadata.author_color ? colorToHex(colorPalette, state.metadata.author_color) : state.fgcolor;
     state.title_color = state.metadata.title_color ? colorToHex(colorPalette, state.metadata.title_color) : state.fgcolor;
     state.keyhint_color = state.metadata.keyhint_color ? colorToHex(colorPalette, state.metadata.keyhint_color) : state.fgcolor;
+	if (typeof Mobile !== 'undefined' && Mobile._instance)
+		Mobile._instance.updateTouchControls();
 }
 
 function showTempMessage(message) {
@@ -2885,6 +3359,7 @@ function applyRandomRuleGroup(level,ruleGroup) {
 	var modified = rule.applyAt(level,tuple,check,delta);
 
     rule.queueCommands();
+	countRuleCoverage(rule, modified);
 
   return modified;
 }
@@ -2923,7 +3398,7 @@ function applyRuleGroup(ruleGroup) {
         if (propagated) {
         	loopPropagated=true;
 			
-			if (verbose_logging){
+			if (isRecordingDebugTimeline()){
 				debugger_turnIndex++;
 				addToDebugTimeline(curLevel,-2);//pre-movement-applied debug state
 			}
@@ -2969,7 +3444,13 @@ function applyRules(rules, loopPoint, subroutines, startRuleGroupindex, bannedGr
 			//do nothing
 		} else {
 			const ruleGroup = rules[ruleGroupIndex];
-			loopPropagated = applyRuleGroup(ruleGroup) || loopPropagated;
+			if (isProfiling()) {
+				const start = performance.now(), finds = perfCounters.finds, applied = perfCounters.applied;
+				loopPropagated = applyRuleGroup(ruleGroup) || loopPropagated;
+				profileRuleGroup(ruleGroup, performance.now() - start, perfCounters.finds - finds, perfCounters.applied - applied);
+			} else {
+				loopPropagated = applyRuleGroup(ruleGroup) || loopPropagated;
+			}
 		}
 		// loop ends right here
         if (loopPropagated && loopPoint[ruleGroupIndex] >= 0) { 
@@ -3006,7 +3487,7 @@ function applyRules(rules, loopPoint, subroutines, startRuleGroupindex, bannedGr
 			}
 		}
 
-		if (verbose_logging){
+		if (isRecordingDebugTimeline()){
 			debugger_turnIndex++;
 			addToDebugTimeline(curLevel,-2);//pre-movement-applied debug state
 		}
@@ -3167,11 +3648,49 @@ function processLevelInput() {
 
 }
 
+// apply a mouse input: id is an object to drop, or -1/-2 for lclick/rclick (used by inputoutput, makegif and the solver)
+// returns true if anything changed
+function mouseInput(id, coordIndex) {
+	var changed = false;
+	if (id >= 0) {
+		// drop an object at this location
+		try {
+			var bak = backupLevel();
+			var cell = curLevel.getCell(coordIndex);
+			cell.ibitset(id);
+			curLevel.setCell(coordIndex, cell);
+			var inputdir = 5;
+			changed = processInput(inputdir,false,false,bak);
+		} catch(e) {
+			console.log(e);
+			consolePrint(e,true);
+		}
+	} else {
+		// don't drop an object, feed in a movement instead
+		const inputdir = (id == -1) ? 6 : 7;  // todo: mclick
+		changed = processInput(inputdir, false, false, bak, coordIndex);
+	}
+	if (changed && !solving) {
+		redraw();
+	}
+	return changed;
+}
+
 // acceptable input directions, used here and in inputoutput
 var dirNames = ['up', 'left', 'down', 'right', 'action', 'mouse', 'lclick', 'rclick'];  // todo: reaction, mclick
 
 var perfCounters = {};
 
+// the visual debugger records the level after each rule when logging, and when there are breakpoints to stop at
+function isRecordingDebugTimeline() {
+	return verbose_logging || (breakpointLines !== null && !solving);
+}
+
+// the profiler (profiler.js in the editor) times turns as they are played, but not the solver
+function isProfiling() {
+	return ruleProfile !== null && !solving;
+}
+
 /* returns a bool indicating if anything changed */
 function processInput(dir,dontDoWin,dontModify,bak,coord) {
 	//console.log(`Process input (${dir},${dontDoWin},${dontModify},${bak},${coord}) cmds=${level.commandQueue}`)
@@ -3183,13 +3702,19 @@ function processInput(dir,dontDoWin,dontModify,bak,coord) {
 		replaces: 0,
 		replaced: 0,
 		applied: 0,
+		finds: 0,
 		commands: 0,
 		randoms : 0,
 		groups: 0,
 		tries: 0,		
 	}
 	if (debugSwitch.includes('profile')) console.profile('INP');
+	const wasAgaining = againing;
+	const profileStart = isProfiling() ? performance.now() : 0;
 	const ret = procInp(dir, dontDoWin, dontModify, bak, coord);
+	if (isProfiling())
+		profileTurn(dontModify ? "again check" : dir != -1 ? "input" : wasAgaining ? "again" : dontDoWin ? "level start" : "tick",
+			performance.now() - profileStart);
 	if (debugSwitch.includes('profile')) console.profileEnd('INP');
 	perfCounters.elapsed = Date.now() - perfCounters.start;
 	if (debugSwitch.includes('perf')) console.log(perfCounters);
@@ -3214,7 +3739,9 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 	
 	if (dir < dirNames.length) {
 
-		if (verbose_logging) { 
+		if (isRecordingDebugTimeline()) { 
+			if (!verbose_logging)
+				startBreakpointTurn();
 			debugger_turnIndex++;
 			addToDebugTimeline(curLevel,-2);//pre-movement-applied debug state
 		}
@@ -3229,15 +3756,17 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 			moveEntitiesAtIndex(coord, mask, dirMasks[dirName]);
 		}
 
-		if (verbose_logging) { 
+		if (isRecordingDebugTimeline()) { 
 			const inspect_ID = addToDebugTimeline(curLevel, -1);
-			if (dir===-1) {
-				consolePrint(`Turn starts with no input.`, false, null, inspect_ID)
-			} else {
-				//  consolePrint('=======================');
-				consolePrint(`Turn starts with input of ${dirName}.`, false, null, inspect_ID);
+			if (verbose_logging) {
+				if (dir===-1) {
+					consolePrint(`Turn starts with no input.`, false, null, inspect_ID)
+				} else {
+					//  consolePrint('=======================');
+					consolePrint(`Turn starts with input of ${dirName}.`, false, null, inspect_ID);
+				}
+				consolePrint('Applying rules.');
 			}
-			consolePrint('Applying rules.');
 		}
 		
         var bannedGroup = [];
@@ -3277,7 +3806,10 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
         	i++;
 
 			applyRules(state.rules, state.loopPoint, state.subroutines, startRuleGroupIndex, bannedGroup);
+			const movementsStart = isProfiling() ? performance.now() : 0;
         	var shouldUndo = resolveMovements(curLevel, bannedGroup, dontModify);
+			if (isProfiling())
+				profileMovements(performance.now() - movementsStart, shouldUndo);
 			
         	if (shouldUndo) {
         		rigidloop=true;
@@ -3313,8 +3845,9 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 
 				}
 
-				if (verbose_logging && rigidloop && i>0){				
-					consolePrint('Relooping through rules because of rigid.');
+				if (isRecordingDebugTimeline() && rigidloop && i>0){				
+					if (verbose_logging)
+						consolePrint('Relooping through rules because of rigid.');
 						
 					debugger_turnIndex++;
 					addToDebugTimeline(curLevel,-2);//pre-movement-applied debug state
@@ -3322,19 +3855,21 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 
         		startRuleGroupIndex=0;//rigidGroupUndoDat.ruleGroupIndex+1;
         	} else {
-        		if (verbose_logging){
+        		if (isRecordingDebugTimeline()){
 
 					var eof_idx = debug_visualisation_array[debugger_turnIndex].length+1;//just need some number greater than any rule group
 					var inspect_ID = addToDebugTimeline(curLevel,eof_idx);
 
-					consolePrint(`Processed movements.`,false,null,inspect_ID);
+					if (verbose_logging)
+						consolePrint(`Processed movements.`,false,null,inspect_ID);
 					
 					if (state.lateRules.length>0){
 											
 						debugger_turnIndex++;
 						addToDebugTimeline(curLevel,-2);//pre-movement-applied debug state
 					
-						consolePrint('Applying late rules.');
+						if (verbose_logging)
+							consolePrint('Applying late rules.');
 					}
 				}
         		applyRules(state.lateRules, state.lateLoopPoint, state.subroutines, 0);
@@ -3492,6 +4027,9 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 	    			}
 	    			modified=true;
 	    			updateCameraPositionTarget();
+					if (dir!==-1) {
+						countLevelMove();
+					}
 	    		}
 	    		break;
 	    	}
@@ -3575,8 +4113,8 @@ function procInp(dir,dontDoWin,dontModify,bak,coord) {
 				//restartTarget=level4Serialization();
 				hasUsedCheckpoint=true;
 				var backupStr = JSON.stringify(restartTarget);
-				storage_set(document.URL+'_checkpoint',backupStr);
-				storage_set(document.URL,curLevelNo);				
+				storage_set(getSaveKey()+'_checkpoint',backupStr);
+				storage_set(getSaveKey(),curLevelNo);				
 			}	 
 
 		    if (curLevel.commandQueue.indexOf('again')>=0 && modified) {
@@ -3747,6 +4285,8 @@ function DoWin() {
 	}
 	againing = false;
 	tryPlayEndLevelSound();
+	document.dispatchEvent(new CustomEvent("psplusLevelWon", {detail: curLevelNo}));
+	recordLevelSolved();			// before a link goes back, so the level it leaves counts
 
 	if (linkStack.length > 0) { 		// got here by link so go back there
 		returnLink();
@@ -3774,13 +4314,13 @@ function nextLevel() {
   
   	ignoreNotJustPressedAction=true;
 	if (titleScreen && titleMode <= 1) {
-		linkStack = [];
 		backups = [];
 		if(isContinueOptionSelected()) {
-			// continue
+			// continue, keeping the links saved with it
 			loadLevelFromStateOrTarget();
 		} else if(isNewGameOptionSelected()) {
 			// new game
+			linkStack = [];
 			curLevelNo=0;
 			curlevelTarget=null;
 
@@ -3790,8 +4330,12 @@ function nextLevel() {
 
 			loadLevelFromStateOrTarget();
 		} else if(isLevelSelectOptionSelected()) {
+			linkStack = [];
 			titleSelection = null;
 			gotoLevelSelectScreen();
+		} else if(isSaveSlotsOptionSelected()) {
+			goToSaveScreen();
+			return;		// nothing to save yet
 		} else {
 			throw "next level";
 			// settings -- TODO
@@ -3831,8 +4375,9 @@ function nextLevel() {
 				if (!state.metadata.level_select) {
 					// solved all
 					try {
-						storage_remove(document.URL);
-						storage_remove(document.URL + '_checkpoint');
+						storage_remove(getSaveKey());
+						storage_remove(getSaveKey() + '_checkpoint');
+						storage_remove(getSaveKey() + '_links');
 					} catch (ex) {
 					}
 
@@ -3896,21 +4441,28 @@ function resetFlickDat() {
 	}
 }
 
+// save the level, any checkpoint and the way back from linked levels in the current save slot.
+// Progress in a linked level is saved too: with the way back saved along with it, continuing
+// there still returns to the level the link was taken from when it is won.
 function updateLocalStorage() {
-	if (linkStack.length > 0)
-		return;
 	if (debugSwitch.includes('menu')) console.log(`updateLocalStorage`, 'curlevelTarget=', curlevelTarget, 'restartTarget=', restartTarget, 'curLevelNo=', curLevelNo);
 	try {
 		
-		storage_set(document.URL,curLevelNo);
+		storage_set(getSaveKey(),curLevelNo);
 		if (curlevelTarget!==null){
 			restartTarget=backupLevel();		// fix for twiddle issues #67 #73 and reopen
 			//restartTarget=level4Serialization();
 			var backupStr = JSON.stringify(restartTarget);
-			storage_set(document.URL+'_checkpoint',backupStr);
+			storage_set(getSaveKey()+'_checkpoint',backupStr);
 		} else {
-			storage_remove(document.URL+"_checkpoint");
+			storage_remove(getSaveKey()+"_checkpoint");
 		}		
+		// the way back from a linked level, so that continuing in it can still return
+		if (linkStack.length > 0) {
+			storage_set(getSaveKey()+"_links", stringifyLinkStack(linkStack));
+		} else {
+			storage_remove(getSaveKey()+"_links");
+		}
 		
 	} catch (ex) {
   }
@@ -3932,11 +4484,140 @@ function setSectionSolved(section) {
 	try {
 		if(!!window.localStorage) {
 			solvedSections.push(section);
-			storage_set(document.URL + "_sections", JSON.stringify(solvedSections));
+			storage_set(getSaveKey() + "_sections", JSON.stringify(solvedSections));
 		}
 	} catch(ex) { }
 }
 
+// statistics for each level of the game, kept in storage for each save slot by level index: how
+// often it was solved, the totals of moves, undos, restarts and time (ms) over those solves, and the
+// fewest moves and shortest time. Moves are those of the solution, so undone moves and moves before
+// a restart don't count, but undos and restarts do.
+let levelAttempt = null;	// the level being played: { levelNo, moves, restartMoves, undos, restarts, startTime }
+let parResult = null;		// the level just won, when it has a PAR: { moves, par }, shown before going on
+
+function getLevelStats() {
+	try {
+		return JSON.parse(storage_get(getSaveKey() + "_stats")) || {};
+	} catch(ex) {
+		return {};
+	}
+}
+
+function startLevelAttempt() {
+	parResult = null;
+	if (solving)
+		return;
+	levelAttempt = { levelNo: curLevelNo, moves: 0, restartMoves: [], undos: 0, restarts: 0, startTime: Date.now() };
+}
+
+function countLevelMove() {
+	if (levelAttempt !== null && !solving)
+		levelAttempt.moves++;
+}
+
+function countLevelUndo() {
+	if (levelAttempt === null || solving)
+		return;
+	levelAttempt.undos++;
+	if (levelAttempt.moves > 0)
+		levelAttempt.moves--;
+	else if (levelAttempt.restartMoves.length > 0)		// undoing the restart
+		levelAttempt.moves = levelAttempt.restartMoves.pop();
+}
+
+function countLevelRestart() {
+	if (levelAttempt === null || solving)
+		return;
+	levelAttempt.restarts++;
+	levelAttempt.restartMoves.push(levelAttempt.moves);
+	levelAttempt.moves = 0;
+}
+
+// add the attempt at the current level to its statistics, when the player wins it
+function recordLevelSolved() {
+	if (solving)
+		return;
+	const attempt = levelAttempt;
+	levelAttempt = null;
+	if (attempt === null || attempt.levelNo !== curLevelNo || unitTesting || levelEditorOpened)
+		return;
+	const time = Date.now() - attempt.startTime;
+	const allStats = getLevelStats();
+	const stats = allStats[curLevelNo] || { solved: 0, moves: 0, undos: 0, restarts: 0, time: 0, best: null, bestTime: null };
+	stats.solved++;
+	stats.moves += attempt.moves;
+	stats.undos += attempt.undos;
+	stats.restarts += attempt.restarts;
+	stats.time += time;
+	const newBest = stats.best === null || attempt.moves < stats.best;
+	if (newBest)
+		stats.best = attempt.moves;
+	if (stats.bestTime === null || time < stats.bestTime)
+		stats.bestTime = time;
+	allStats[curLevelNo] = stats;
+	try {
+		storage_set(getSaveKey() + "_stats", JSON.stringify(allStats));
+	} catch(ex) { }
+
+	const par = state.levels[curLevelNo].par;
+	if (par !== undefined)
+		parResult = { moves: attempt.moves, par: par };
+	if (IDE)
+		consolePrint(`Solved in ${attempt.moves} moves` + (par !== undefined ? `, par ${par}` : "") +
+			(newBest ? " (a new best)" : ` (best ${stats.best})`) +
+			`, with ${attempt.undos} undos and ${attempt.restarts} restarts, in ${formatDuration(time)}.`, true);
+}
+
+// stars out of 3 for solving a level with a PAR: 3 for par or better, 2 for up to half as many moves again
+function getParStars(moves, par) {
+	return moves <= par ? 3 : moves <= Math.ceil(par * 1.5) ? 2 : 1;
+}
+
+// show how the level just won compares with its PAR, before going on to the next level.
+// Returns false if it has no par.
+function showParResult() {
+	if (parResult === null)
+		return false;
+	const stars = getParStars(parResult.moves, parResult.par);
+	messagetext = `Solved in ${parResult.moves} moves, par ${parResult.par}\\n` +
+		"*".repeat(stars) + "-".repeat(3 - stars) + (stars == 3 ? " Perfect!" : "");
+	showTempMessage(messagetext);
+	return true;
+}
+
+// the indexes of the levels in a section, without its messages and gotos
+function getSectionLevels(sectionIndex) {
+	const levels = [];
+	for (let i = state.sections[sectionIndex].firstLevel; i < state.levels.length && state.levels[i].section == state.sections[sectionIndex].name; i++) {
+		if (state.levels[i].message === undefined && state.levels[i].target === undefined)
+			levels.push(i);
+	}
+	return levels;
+}
+
+// the fewest moves to solve all the levels of a section, or null if some have not been solved
+function getSectionBestMoves(allStats, sectionIndex) {
+	let total = 0;
+	for (const i of getSectionLevels(sectionIndex)) {
+		if (!allStats[i] || allStats[i].best === null)
+			return null;
+		total += allStats[i].best;
+	}
+	return total;
+}
+
+// whether every level of a section that has a PAR has been solved in par, and there is at least one
+function isSectionPerfect(allStats, sectionIndex) {
+	const levels = getSectionLevels(sectionIndex).filter(i => state.levels[i].par !== undefined);
+	return levels.length > 0 && levels.every(i => allStats[i] && allStats[i].best !== null && allStats[i].best <= state.levels[i].par);
+}
+
+function formatDuration(ms) {
+	const seconds = Math.round(ms / 1000);
+	return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
 function clearLocalStorage() {
 	if (debugSwitch.includes('menu')) console.log(`clearLocalStorage`);
 	curLevelNo = 0;
@@ -3945,9 +4626,10 @@ function clearLocalStorage() {
 
 	try {
 		if (!!window.localStorage) {
-			storage_remove(document.URL);
-			storage_remove(document.URL+'_checkpoint');
-			storage_remove(document.URL+'_sections');
+			storage_remove(getSaveKey());
+			storage_remove(getSaveKey()+'_checkpoint');
+			storage_remove(getSaveKey()+'_sections');
+			storage_remove(getSaveKey()+'_links');
 		}
 	} catch(ex){ }
 }
@@ -438,6 +438,8 @@ function redraw() {
         return;
     }
     if (debugSwitch.includes('redraw')) console.log(`Redraw: ${JSON.stringify(perfCounters)}`);
+    if (watches.length > 0)
+        updateWatches();
 
     // Try 3D rendering first (if enabled and available)
     if (typeof redraw3D === 'function' && use3DRenderer) {
@@ -878,6 +880,17 @@ function redrawCellGrid(curlevel) {
                 }
             }
         }
+
+        //draw the cells matched by a rule that stopped at a breakpoint
+        if (diffToVisualize.matchedCells) {
+            for (const posIndex of diffToVisualize.matchedCells) {
+                const i = ~~(posIndex / curlevel.height);
+                const j = posIndex % curlevel.height;
+                if (i >= minMaxIJ[0] && i < minMaxIJ[2] && j >= minMaxIJ[1] && j < minMaxIJ[3]) {
+                    ctx.drawImage(glyphHighlight, xoffset + (i-minMaxIJ[0]) * cellwidth, yoffset + (j-minMaxIJ[1]) * cellheight);
+                }
+            }
+        }
     
         //draw movements!
         for (var i = minMaxIJ[0]; i < minMaxIJ[2]; i++) {
@@ -1058,6 +1071,8 @@ function drawEditorIcons(mini,minj) {
         {
             tooltip_string = tooltip_objects.join(', ')
         }
+        if (levelEditorTool !== "brush")
+            tooltip_string = `${levelEditorTool}: ${tooltip_string}`;
     }
 
     // show tooltip
@@ -1070,6 +1085,26 @@ function drawEditorIcons(mini,minj) {
 		ctx.fillText(tooltip_string, xoffset + screenwidth * cellwidth/2, yoffset-0.5*cellheight);//, screenwidth * cellwidth);
     }
 
+    // line or rectangle being dragged out, and the selection
+    if (levelEditorDrag !== null && levelEditorTool !== "select") {
+        for (const index of getDragCells(levelEditorDrag)) {
+            ctx.drawImage(glyphMouseOver,
+                xoffset + ((index / curLevel.height) | 0) * cellwidth,
+                yoffset + (index % curLevel.height) * cellheight);
+        }
+    }
+    const selection = levelEditorDrag !== null && levelEditorTool === "select"
+        ? getDragRectangle(levelEditorDrag) : getLevelEditorSelection();
+    if (selection !== null) {
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = 'yellow';
+        ctx.setLineDash([cellwidth / 4, cellwidth / 4]);
+        ctx.strokeRect(xoffset + selection.x * cellwidth, yoffset + selection.y * cellheight,
+            selection.width * cellwidth, selection.height * cellheight);
+        ctx.restore();
+    }
+
 	if (mouseCoordX>=-1&&mouseCoordY>=-1&&mouseCoordX<screenwidth-1&&mouseCoordY<screenheight-1-editorRowCount) {
 		if (mouseCoordX==-1||mouseCoordY==-1||mouseCoordX==screenwidth-2||mouseCoordY===screenheight-2-editorRowCount) {
 			ctx.drawImage(glyphHighlightResize,
@@ -34,13 +34,60 @@ function selectText(containerid,e) {
 function recalcLevelBounds(){
 }
 
+var levelEditorRedoStack=[];	// the level after each change undone in the level editor
+var levelEditorRedoKey=null;	// the game, level and undo history that the undone changes can be redone on
+
+// remember the level before an edit in the level editor, so that it can be undone as one step.
+// It goes in the same undo history as moves, so Ctrl+Z in the editor and Z take back the same thing.
+function recordLevelEditorEdit() {
+	backups.push(backupLevel());
+	levelEditorRedoStack=[];
+}
+
+// forget the undone changes if anything has happened since they were undone: the game rebuilt,
+// another level loaded, or a move, restart or edit made
+function checkLevelEditorRedo() {
+	var key=levelEditorRedoKey;
+	if (key===null || key.state!==state || key.levelNo!==curLevelNo || key.undoCount!==backups.length || key.lastBackup!==backups[backups.length-1]) {
+		levelEditorRedoStack=[];
+	}
+}
+
+function rememberLevelEditorRedo() {
+	levelEditorRedoKey={state:state, levelNo:curLevelNo, undoCount:backups.length, lastBackup:backups[backups.length-1]};
+}
+
+function levelEditorUndo() {
+	checkLevelEditorRedo();
+	if (backups.length===0) {
+		consolePrint("There are no changes to undo.",true);
+		return;
+	}
+	levelEditorRedoStack.push(backupLevel());
+	DoUndo(true,true);
+	rememberLevelEditorRedo();
+	canvasResize();
+}
+
+function levelEditorRedo() {
+	checkLevelEditorRedo();
+	if (levelEditorRedoStack.length===0) {
+		consolePrint("There are no level editor changes to redo.",true);
+		return;
+	}
+	backups.push(backupLevel());
+	restoreLevel(levelEditorRedoStack.pop());
+	rememberLevelEditorRedo();
+	canvasResize();
+}
+
 function arrCopy(from, fromoffset, to, tooffset, len) {
 	while (len--)
 		to[tooffset++] = from[fromoffset]++;
 }
 
 function adjustLevel(level, widthdelta, heightdelta) {
-	backups.push(backupLevel());
+	recordLevelEditorEdit();
 	var oldlevel = level.clone();
 	level.width += widthdelta;
 	level.height += heightdelta;
@@ -189,7 +236,8 @@ var htmlEntityMap = {
 
 var selectableint  = 0;
 
-function printLevel() {
+// single character glyphs as [name, mask without background, mask], for matchGlyph()
+function getGlyphMasks() {
 	var glyphMasks = [];
 	for (var glyphName in state.glyphDict) {
 		if (state.glyphDict.hasOwnProperty(glyphName)&&glyphName.length===1) {
@@ -209,6 +257,14 @@ function printLevel() {
 			glyphMasks.push([glyphName, glyphmask, glyphbits]);
 		}
 	}
+	return glyphMasks;
+}
+
+// print the level being played to the console. Cells that no glyph stands for exactly get new
+// glyphs, with the LEGEND lines that define them.
+function printLevel() {
+	var proposal = proposeLevelGlyphs(state,curLevel);
+	var glyphMasks = proposal===null ? getGlyphMasks() : null;
 	selectableint++;
 	var tag = 'selectable'+selectableint;
 	var output="Printing level contents:<br><br><span id=\""+tag+"\" onclick=\"selectText('"+tag+"',event)\"><br>";
@@ -217,7 +273,7 @@ function printLevel() {
 		for (var i=0;i<curLevel.width;i++) {
 			var cellIndex = j+i*curLevel.height;
 			var cellMask = curLevel.getCell(cellIndex);
-			var glyph = matchGlyph(cellMask,glyphMasks);
+			var glyph = proposal!==null ? proposal.glyphs[cellMask.data.join(",")] : matchGlyph(cellMask,glyphMasks);
 			if (glyph in htmlEntityMap) {
 				glyph = htmlEntityMap[glyph]; 
 			}
@@ -227,10 +283,97 @@ function printLevel() {
 			output=output+"<br>";
 		}
 	}
-	output+="</span><br><br>"
+	output+="</span><br>"
+	if (proposal!==null && proposal.definitions.length>0) {
+		proposedLegendDefinitions = proposal.definitions;
+		selectableint++;
+		tag = 'selectable'+selectableint;
+		output+="<br>Some cells have no glyph of their own, so new ones were used. Add these to the LEGEND:<br><br>";
+		var lines = proposal.definitions.map(function(line) {
+			return line.replace(/[&<>"'\/]/g, function(ch) { return htmlEntityMap[ch]; });
+		});
+		output+="<span id=\""+tag+"\" onclick=\"selectText('"+tag+"',event)\">"+lines.join("<br>")+"</span><br>";
+		if (typeof editor !== 'undefined') {
+			output+="<a href=\"javascript:void('Add to legend');\" onclick=\"addProposedGlyphsToLegend()\">Add to legend</a><br>";
+		}
+	}
+	if (typeof editor !== 'undefined') {
+		output+="<a href=\"javascript:void('Apply to source');\" onclick=\"applyLevelToSource()\">Apply to source</a><br>";
+	}
+	output+="<br>"
 	consolePrint(output,true);
 }
 
+// write the level being played into the LEVELS section of the source, where it came from.
+// Cells that no glyph matches exactly get new glyphs, which are added to the end of the LEGEND.
+function applyLevelToSource() {
+	var level = state.levels[curLevelNo];
+	if (typeof editor === 'undefined' || textMode || !(level instanceof Level)) {
+		consoleError("There is no level from the LEVELS section being played to apply to the source.");
+		return;
+	}
+	if (editor.getValue()+"\n" !== compiledText) {
+		consoleError("The source has been changed since the game was run, rebuild it first (Ctrl/⌘+Enter).");
+		return;
+	}
+	var edit;
+	try {
+		edit = getLevelSourceEdit(state,editor.getValue().split("\n"),level,curLevel);
+	} catch (error) {
+		consoleError(error.message);
+		return;
+	}
+
+	editor.operation(function() {
+		editor.replaceRange(edit.text, {line:edit.firstLine, ch:0}, {line:edit.lastLine, ch:editor.getLine(edit.lastLine).length});
+		if (edit.definitions.length>0) {
+			insertLegendDefinitions(edit.definitions,edit.legendLine);
+		}
+	});
+	consolePrint(`Applied the level to the source at line ${htmlJump(level.lineNumber+edit.definitions.length)}.`,true);
+	compile(["rebuild"]);
+}
+
+// the LEGEND lines proposed by the last printLevel(), for new glyphs
+var proposedLegendDefinitions = [];
+
+// add the new glyphs from the last level printed to the end of the LEGEND
+function addProposedGlyphsToLegend() {
+	if (editor.getValue()+"\n" !== compiledText) {
+		consoleError("The source has been changed since the level was printed, rebuild it and print it again.");
+		return;
+	}
+	var legendLine = findLegendEnd(editor.getValue().split("\n"));
+	if (legendLine<0) {
+		consoleError("There is no LEGEND section to add the new glyphs to.");
+		return;
+	}
+	editor.operation(function() {
+		insertLegendDefinitions(proposedLegendDefinitions,legendLine);
+	});
+	compile(["rebuild"]);
+}
+
+// add lines to the legend after the line legendLine (from 0), and say so in the console
+function insertLegendDefinitions(definitions,legendLine) {
+	editor.replaceRange("\n"+definitions.join("\n"), {line:legendLine, ch:editor.getLine(legendLine).length});
+	for (var definition of definitions) {
+		consolePrint(`Added "${definition}" to the legend.`,true);
+	}
+}
+
+// cell contents for the tile selected in the level editor, with the default background if it has none
+function getSelectedGlyphMask() {
+	return getGlyphCellMask(state,glyphImagesCorrespondance[glyphSelectedIndex]);
+}
+
+// cell contents for an empty cell
+function getBackgroundMask() {
+	var glyphmask = new BitVec(STRIDE_OBJ);
+	glyphmask.ibitset(state.backgroundid);
+	return glyphmask;
+}
+
 function levelEditorClick(event,click) {
 	if (mouseCoordY<=-2) {
 		var ypos = editorRowCount-(-mouseCoordY-2)-1;
@@ -243,23 +386,11 @@ function levelEditorClick(event,click) {
 		}
 
 	} else if (mouseCoordX>-1&&mouseCoordY>-1&&mouseCoordX<screenwidth-2&&mouseCoordY<screenheight-2-editorRowCount	) {
-		var glyphname = glyphImagesCorrespondance[glyphSelectedIndex];
-		var glyph = state.glyphDict[glyphname];
-		var glyphmask = new BitVec(STRIDE_OBJ);
-		for (var i=0;i<glyph.length;i++)
-		{
-			var id = glyph[i];
-			if (id>=0) {
-				glyphmask.ibitset(id);
-			}			
-		}
-
-		var backgroundMask = state.layerMasks[state.backgroundlayer];
-		if (glyphmask.bitsClearInArray(backgroundMask.data)) {
-			// If we don't already have a background layer, mix in
-			// the default one.
-			glyphmask.ibitset(state.backgroundid);
+		if (levelEditorTool!=="brush") {
+			levelEditorToolMouse(click,false,event.shiftKey);
+			return;
 		}
+		var glyphmask = getSelectedGlyphMask();
 
 		var coordIndex = mouseCoordY + mouseCoordX*curLevel.height;
 		var getcell = curLevel.getCell(coordIndex);
@@ -268,7 +399,7 @@ function levelEditorClick(event,click) {
 		} else {
 			if (anyEditsSinceMouseDown===false) {
 				anyEditsSinceMouseDown=true;				
-        		backups.push(backupLevel());
+        		recordLevelEditorEdit();
 			}
 			curLevel.setCell(coordIndex, glyphmask);
 			redraw();
@@ -300,9 +431,19 @@ function levelEditorRightClick(event,click) {
 			redraw();
 		}
 	} else if (mouseCoordX>-1&&mouseCoordY>-1&&mouseCoordX<screenwidth-2&&mouseCoordY<screenheight-2-editorRowCount	) {
+		if (levelEditorTool!=="brush") {
+			levelEditorToolMouse(click,true,event.shiftKey);
+			return;
+		}
 		var coordIndex = mouseCoordY + mouseCoordX*curLevel.height;
-		var glyphmask = new BitVec(STRIDE_OBJ);
-		glyphmask.ibitset(state.backgroundid);
+		var glyphmask = getBackgroundMask();
+		if (curLevel.getCell(coordIndex).equals(glyphmask)) {
+			return;
+		}
+		if (anyEditsSinceMouseDown===false) {
+			anyEditsSinceMouseDown=true;
+			recordLevelEditorEdit();
+		}
 		curLevel.setCell(coordIndex, glyphmask);
 		redraw();
 	}
@@ -325,6 +466,273 @@ function levelEditorRightClick(event,click) {
 	}
 }
 
+var levelEditorTools = {
+	brush: "Brush: click and drag to paint the selected tile, right click to clear.",
+	line: "Line: drag to draw a line of the selected tile, right drag to clear one.",
+	rectangle: "Rectangle: drag to draw a rectangle of the selected tile, hold Shift to fill it, right drag to clear.",
+	fill: "Fill: click to fill an area of matching cells with the selected tile, right click to clear it.",
+	select: "Select: drag to select cells, then Ctrl+C, Ctrl+X, Ctrl+V to copy, cut and paste, Delete to clear, H and V to flip, T and Shift+T to rotate.",
+};
+var levelEditorTool="brush";
+var levelEditorDrag=null;		// line, rectangle or selection being dragged out: {x1,y1,x2,y2,erase,filled}
+var levelEditorSelection=null;	// selected cells: {x,y,width,height}
+var levelEditorClipboard=null;	// copied cells: {width,height,cells} with cells by column, as in the level
+
+function setLevelEditorTool(tool) {
+	levelEditorTool=tool;
+	levelEditorDrag=null;
+	consolePrint(levelEditorTools[tool],true);
+	redraw();
+}
+
+// start, continue or (on a click without a drag) finish using a tool other than the brush at the mouse cell
+function levelEditorToolMouse(click,erase,shift) {
+	var x = mouseCoordX;
+	var y = mouseCoordY;
+	if (click) {
+		if (levelEditorTool==="fill") {
+			var index = y + x*curLevel.height;
+			editLevelCells(getFloodFillCells(index), erase ? getBackgroundMask() : getSelectedGlyphMask());
+		} else if (levelEditorTool==="select" && erase) {
+			levelEditorSelection=null;
+		} else {
+			levelEditorDrag={x1:x, y1:y, x2:x, y2:y, erase:erase, filled:shift};
+		}
+	} else if (levelEditorDrag!==null) {
+		levelEditorDrag.x2=x;
+		levelEditorDrag.y2=y;
+	}
+	redraw();
+}
+
+// the mouse was let go, so draw the line or rectangle, or make the selection
+function levelEditorToolMouseUp() {
+	var drag = levelEditorDrag;
+	levelEditorDrag=null;
+	if (levelEditorTool==="select") {
+		levelEditorSelection=getDragRectangle(drag);
+	} else {
+		editLevelCells(getDragCells(drag), drag.erase ? getBackgroundMask() : getSelectedGlyphMask());
+	}
+	redraw();
+}
+
+function getDragRectangle(drag) {
+	return {
+		x: Math.min(drag.x1,drag.x2),
+		y: Math.min(drag.y1,drag.y2),
+		width: Math.abs(drag.x2-drag.x1)+1,
+		height: Math.abs(drag.y2-drag.y1)+1
+	};
+}
+
+// cell indexes covered by a line or rectangle being dragged out
+function getDragCells(drag) {
+	var cells = [];
+	if (levelEditorTool==="line") {
+		if (cellwidth!==cellheight) {
+			// getTilesTraversingPoints() only works with square cells
+			return [drag.y1 + drag.x1*curLevel.height, drag.y2 + drag.x2*curLevel.height];
+		}
+		var tiles = getTilesTraversingPoints(
+			drag.x1*cellwidth+(cellwidth>>1), drag.y1*cellheight+(cellheight>>1),
+			drag.x2*cellwidth+(cellwidth>>1), drag.y2*cellheight+(cellheight>>1));
+		for (var i=0;i<tiles.tileListX.length;i++) {
+			cells.push(tiles.tileListY[i] + tiles.tileListX[i]*curLevel.height);
+		}
+	} else if (levelEditorTool==="rectangle") {
+		var rc = getDragRectangle(drag);
+		for (var x=rc.x;x<rc.x+rc.width;x++) {
+			for (var y=rc.y;y<rc.y+rc.height;y++) {
+				if (drag.filled || x===rc.x || y===rc.y || x===rc.x+rc.width-1 || y===rc.y+rc.height-1) {
+					cells.push(y + x*curLevel.height);
+				}
+			}
+		}
+	}
+	return cells;
+}
+
+// cell indexes of the area joined to the cell at index that has the same contents
+function getFloodFillCells(index) {
+	var target = curLevel.getCell(index);
+	var seen = new Uint8Array(curLevel.n_tiles);
+	var cells = [];
+	var stack = [index];
+	seen[index]=1;
+	while (stack.length>0) {
+		var i = stack.pop();
+		cells.push(i);
+		var x = (i/curLevel.height)|0;
+		var y = i%curLevel.height;
+		var neighbours = [
+			x>0 ? i-curLevel.height : -1,
+			x<curLevel.width-1 ? i+curLevel.height : -1,
+			y>0 ? i-1 : -1,
+			y<curLevel.height-1 ? i+1 : -1
+		];
+		for (var j=0;j<neighbours.length;j++) {
+			var n = neighbours[j];
+			if (n>=0 && !seen[n] && curLevel.getCell(n).equals(target)) {
+				seen[n]=1;
+				stack.push(n);
+			}
+		}
+	}
+	return cells;
+}
+
+// set cells to mask, as one step that can be undone
+function editLevelCells(cells,mask) {
+	var changed = cells.filter(function(i) { return !curLevel.getCell(i).equals(mask); });
+	if (changed.length===0) {
+		return;
+	}
+	recordLevelEditorEdit();
+	for (var i=0;i<changed.length;i++) {
+		curLevel.setCell(changed[i], mask);
+	}
+}
+
+// the selection, clipped to the level, or null
+function getLevelEditorSelection() {
+	var sel = levelEditorSelection;
+	if (sel===null || sel.x>=curLevel.width || sel.y>=curLevel.height) {
+		return null;
+	}
+	return {
+		x: sel.x,
+		y: sel.y,
+		width: Math.min(sel.width, curLevel.width-sel.x),
+		height: Math.min(sel.height, curLevel.height-sel.y)
+	};
+}
+
+// the selected cells, by column
+function copyLevelRegion(sel) {
+	var cells = [];
+	for (var x=0;x<sel.width;x++) {
+		for (var y=0;y<sel.height;y++) {
+			cells.push(curLevel.getCell(sel.y+y + (sel.x+x)*curLevel.height));
+		}
+	}
+	return {width:sel.width, height:sel.height, cells:cells};
+}
+
+// write a region at x,y, clipping it to the level, and select it
+function pasteLevelRegion(region,x,y) {
+	for (var i=0;i<region.width;i++) {
+		for (var j=0;j<region.height;j++) {
+			if (x+i<curLevel.width && y+j<curLevel.height) {
+				curLevel.setCell(y+j + (x+i)*curLevel.height, region.cells[j + i*region.height]);
+			}
+		}
+	}
+	levelEditorSelection={x:x, y:y, width:region.width, height:region.height};
+}
+
+function clearLevelRegion(sel) {
+	var bgMask = getBackgroundMask();
+	for (var x=sel.x;x<sel.x+sel.width;x++) {
+		for (var y=sel.y;y<sel.y+sel.height;y++) {
+			curLevel.setCell(y + x*curLevel.height, bgMask);
+		}
+	}
+}
+
+// a region turned by a function that maps a cell to its place in the new region
+function transformLevelRegion(region,width,height,mapCell) {
+	var cells = new Array(region.cells.length);
+	for (var x=0;x<region.width;x++) {
+		for (var y=0;y<region.height;y++) {
+			var to = mapCell(x,y);
+			cells[to[1] + to[0]*height] = region.cells[y + x*region.height];
+		}
+	}
+	return {width:width, height:height, cells:cells};
+}
+
+// copy, cut, paste, clear, flip or rotate the selection. Returns whether the key was used.
+function levelEditorSelectionKey(event) {
+	var ctrl = event.ctrlKey||event.metaKey;
+	var sel = getLevelEditorSelection();
+	if (ctrl && event.keyCode===86) {//ctrl+v
+		if (levelEditorClipboard===null) {
+			consolePrint("Nothing has been copied to paste, use the select tool (M) and Ctrl+C.",true);
+			return true;
+		}
+		var x = 0;
+		var y = 0;
+		if (mouseCoordX>=0&&mouseCoordY>=0&&mouseCoordX<curLevel.width&&mouseCoordY<curLevel.height) {
+			x = mouseCoordX;
+			y = mouseCoordY;
+		} else if (sel!==null) {
+			x = sel.x;
+			y = sel.y;
+		}
+		recordLevelEditorEdit();
+		pasteLevelRegion(levelEditorClipboard,x,y);
+		return true;
+	}
+	if (sel===null) {
+		return false;
+	}
+	var region = copyLevelRegion(sel);
+	if (ctrl && event.keyCode===67) {//ctrl+c
+		levelEditorClipboard=region;
+		consolePrint(`Copied ${sel.width}x${sel.height} cells.`,true);
+		return true;
+	}
+	if (ctrl) {
+		if (event.keyCode!==88) {//ctrl+x
+			return false;
+		}
+		levelEditorClipboard=region;
+		consolePrint(`Cut ${sel.width}x${sel.height} cells.`,true);
+	} else if (event.keyCode===72) {//h
+		region = transformLevelRegion(region, region.width, region.height, function(x,y) { return [region.width-1-x, y]; });
+	} else if (event.keyCode===86) {//v
+		region = transformLevelRegion(region, region.width, region.height, function(x,y) { return [x, region.height-1-y]; });
+	} else if (event.keyCode===84) {//t
+		region = event.shiftKey
+			? transformLevelRegion(region, region.height, region.width, function(x,y) { return [y, region.width-1-x]; })
+			: transformLevelRegion(region, region.height, region.width, function(x,y) { return [region.height-1-y, x]; });
+	} else if (event.keyCode!==46 && event.keyCode!==8) {//delete, backspace
+		return false;
+	}
+	recordLevelEditorEdit();
+	clearLevelRegion(sel);
+	if (!ctrl && event.keyCode!==46 && event.keyCode!==8) {
+		pasteLevelRegion(region,sel.x,sel.y);
+	}
+	return true;
+}
+
+// keys for the level editor tools and its undo and redo, other than those handled by checkKey(). Returns whether the key was used.
+function levelEditorKey(event) {
+	if ((event.ctrlKey||event.metaKey) && (event.keyCode===90 || event.keyCode===89)) {//ctrl+z, ctrl+y
+		if (event.keyCode===89 || event.shiftKey) {
+			levelEditorRedo();
+		} else {
+			levelEditorUndo();
+		}
+		return true;
+	}
+	if (levelEditorSelectionKey(event)) {
+		redraw();
+		return true;
+	}
+	if (event.ctrlKey||event.metaKey||event.altKey) {
+		return false;
+	}
+	var tool = {66:"brush", 76:"line", 79:"rectangle", 70:"fill", 77:"select"}[event.keyCode];//b,l,o,f,m
+	if (tool===undefined) {
+		return false;
+	}
+	setLevelEditorTool(tool);
+	return true;
+}
+
 function getTilesTraversingPoints(x1, y1, x2, y2) {
 	if (cellwidth !== cellheight) {
 		throw "Error: Cell is not square.";
@@ -408,7 +816,7 @@ function getTilesTraversingPoints(x1, y1, x2, y2) {
 		}
 	}
 	
-	var avoidObstacles = "mouse_obstacle" in state.metadata;
+	var avoidObstacles = "mouse_obstacle" in state.metadata && !levelEditorOpened;
 	
 	var otherTileListX = [cellX1];
 	var otherTileListY = [cellY1];
@@ -537,6 +945,21 @@ function mouseAction(event,click,id) {
 				generatePauseScreen(mouseCoordY);
 				timer=0;
 				quittingTitleScreen = true;
+			} else if (titleMode == 4) { // controller screen
+				if (mouseCoordY >= 0 && mouseCoordY < titleImage.length) {
+					selectControllerScreen(mouseCoordY);
+				}
+			} else if (titleMode == 5) { // keyboard screen
+				keyboardListening = null;
+				if (mouseCoordY >= 0 && mouseCoordY < titleImage.length) {
+					selectKeyboardScreen(mouseCoordY);
+				} else {
+					generateKeyboardScreen();
+				}
+			} else if (titleMode == 6) { // save screen
+				if (mouseCoordY >= 0 && mouseCoordY < titleImage.length) {
+					selectSaveScreen(mouseCoordY);
+				}
 			}
 		} else if (messageselected===false && (state.levels[curLevelNo].message || messagetext != "")) {
 			messageselected=true;
@@ -593,31 +1016,6 @@ function mouseAction(event,click,id) {
 	}
 }
 
-function mouseInput(id, coordIndex) {
-	if (id >= 0) {
-		// drop an object at this location
-		try {
-			var bak = backupLevel();
-			var cell = curLevel.getCell(coordIndex);
-			cell.ibitset(id);
-			curLevel.setCell(coordIndex, cell);
-			var inputdir = 5;
-			if (processInput(inputdir,false,false,bak)) {
-				redraw();
-			}
-		} catch(e) {
-			console.log(e);
-			consolePrint(e,true);
-		}
-	} else {
-		// don't drop an object, feed in a movement instead
-		const inputdir = (id == -1) ? 6 : 7;  // todo: mclick
-		if (processInput(inputdir, false, false, bak, coordIndex)) {
-			redraw();
-		}
-	}
-}
-
 var anyEditsSinceMouseDown = false;
 
 function onMouseDown(event, wasFiredByTouch = false) {
@@ -665,6 +1063,7 @@ function onMouseDown(event, wasFiredByTouch = false) {
 			setMouseCoord(event);
 		    dragging=false;
 		    rightdragging=true;
+        	anyEditsSinceMouseDown=false;
         	if (levelEditorOpened) {
         		return levelEditorRightClick(event,true);
         	} else if ("mouse_right" in state.metadata) {
@@ -707,6 +1106,9 @@ function onMouseUp(event, wasFiredByTouch = false) {
 
 	dragging=false;
     rightdragging=false;
+	if (levelEditorDrag!==null) {
+		levelEditorToolMouseUp();
+	}
 
 	var lmb = event.button===0;
 	var rmb = event.button===2;
@@ -735,10 +1137,38 @@ function onMouseUp(event, wasFiredByTouch = false) {
 	event.handled=true;
 }
 
+var keyboardIgnoredKey = null;	// key just bound on the keyboard screen, until it is let go
+
+// the key that checkKey() handles for a key pressed: the default key of the control it is bound to,
+// itself if it is not bound to anything, or null if it is a default key of a control that has been rebound
+function getBoundKeyCode(keyCode) {
+	var bindings = getKeyBindings();
+	var control = keyControls.find(function(c) { return bindings[c.name].includes(keyCode); })
+		|| keyControls.find(function(c) { return c.keys.includes(keyCode); });
+	return control === undefined ? keyCode : bindings[control.name].includes(keyCode) ? control.keyCode : null;
+}
+
 function onKeyDown(event) {
 	//console.log(`keycode ${event.keyCode}`);
 
 	ULBS();
+
+	// the keyboard screen is waiting for a key to rebind a control to
+	if (keyboardListening !== null && titleScreen && titleMode == 5) {
+		if (event.keyCode !== 27 && !(event.ctrlKey || event.metaKey || event.altKey) && [16, 17, 18, 91, 93].indexOf(event.keyCode) < 0) {
+			bindKey(keyboardListening, event.keyCode);
+		}
+		keyboardListening = null;
+		keyboardIgnoredKey = event.keyCode;
+		generateKeyboardScreen();
+		return prevent(event);
+	}
+	// the key just bound does nothing more until it is let go
+	if (event.keyCode===keyboardIgnoredKey) {
+		return prevent(event);
+	}
+	// touch controls press the keys for what they do, whatever keys the player has chosen
+	var keyCode = event.control ? event.keyCode : getBoundKeyCode(event.keyCode);
 	// Prevent arrows/space from scrolling page
 	if ((!IDE) && ([32, 37, 38, 39, 40].indexOf(event.keyCode) > -1)) {
 		if (event&&(event.ctrlKey || event.metaKey)){
@@ -747,12 +1177,12 @@ function onKeyDown(event) {
 		}
 	}
 
-	if ((!IDE) && event.keyCode===77){//m
+	if ((!IDE) && keyCode===77){//m
 		toggleMute();		
 	}
 
 	// discard duplicates, but don't pass them through either
-    if (keybuffer.indexOf(event.keyCode)>=0) {
+    if (keybuffer.indexOf(keyCode)>=0) {
     	return prevent(event);
     }
 
@@ -762,12 +1192,15 @@ function onKeyDown(event) {
       (window.Mobile && (lastDownTarget === window.Mobile.focusIndicator));
 
     if (isGameCanvas){
-    	if (keybuffer.indexOf(event.keyCode)===-1) {
+		if (levelEditorOpened && !textMode && levelEditorKey(event)) {
+			return prevent(event);
+		}
+    	if (keyCode!==null) {
     		if (event&&(event.ctrlKey || event.metaKey)){
 		    } else {
-    		    keybuffer.splice(keyRepeatIndex,0,event.keyCode);
+    		    keybuffer.splice(keyRepeatIndex,0,keyCode);
 	    	    keyRepeatTimer=0;
-	    	    checkKey(event,!event.repeat);
+	    	    checkKey(event,!event.repeat,keyCode);
 		    }
 		}
 	}
@@ -845,7 +1278,13 @@ HTMLCanvasElement.prototype.relMouseCoords = relMouseCoords;
 
 function onKeyUp(event) {
 	//event = event || window.event;
+	if (event.keyCode===keyboardIgnoredKey) {
+		keyboardIgnoredKey = null;
+	}
 	var index=keybuffer.indexOf(event.keyCode);
+	if (index<0 && !event.control) {
+		index=keybuffer.indexOf(getBoundKeyCode(event.keyCode));
+	}
 	if (index>=0){
     	keybuffer.splice(index,1);
     	if (keyRepeatIndex>=index){
@@ -907,6 +1346,12 @@ function mouseMove(event) {
 				generateLevelSelectScreen(hoverSelection);
 			} else if (titleMode == 3) {
 				generatePauseScreen(hoverSelection);
+			} else if (titleMode == 4) {
+				generateControllerScreen(hoverSelection);
+			} else if (titleMode == 5) {
+				generateKeyboardScreen(hoverSelection);
+			} else if (titleMode == 6) {
+				generateSaveScreen(hoverSelection);
 			}
 		}
 	} else if (dragging && "mouse_drag" in state.metadata) {
@@ -955,9 +1400,53 @@ document.addEventListener('keyup', onKeyUp, false);
 document.addEventListener('wheel', onMouseWheel, {passive: false})
 window.addEventListener('focus', onMyFocus, false);
 window.addEventListener('blur', onMyBlur, false);
+window.addEventListener('gamepadconnected', onGamepadsChanged, false);
+window.addEventListener('gamepaddisconnected', onGamepadsChanged, false);
 canvas.addEventListener('mouseenter', onMouseIn, false);
 canvas.addEventListener('mouseleave', onMouseOut, false)
 
+function onGamepadsChanged() {
+	if (titleScreen && titleMode == 4) {
+		generateControllerScreen();
+	}
+}
+
+// download the progress in the current save slot as a file
+function exportSaveFile() {
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(new Blob([JSON.stringify(makeSaveData())], { type: "application/json" }));
+	link.download = (state.metadata.title || "untitled") + ".save.json";
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ask for a save file, then put it in the current save slot
+function importSaveFile() {
+	const input = document.createElement("input");
+	input.type = "file";
+	input.accept = ".json,application/json";
+	input.onchange = function() {
+		const file = input.files[0];
+		if (!file) {
+			return;
+		}
+		const reader = new FileReader();
+		reader.onload = function() {
+			try {
+				applySaveData(parseSaveData(reader.result));
+				saveMessage = `Imported ${file.name} into slot ${saveSlot}.`;
+			} catch (error) {
+				saveMessage = `Could not import ${file.name}: ${error.message}.`;
+			}
+			if (titleScreen && titleMode == 6) {
+				generateSaveScreen();
+			}
+		};
+		reader.readAsText(file);
+	};
+	input.click();
+}
+
 function onMouseWheel(event) {
 
 	if (!mouseInCanvas || event.ctrlKey) {return;}
@@ -970,6 +1459,12 @@ function onMouseWheel(event) {
 			generateLevelSelectScreen(-1, normalizedDelta);
 		} else if (titleMode == 3) {
 			generatePauseScreen(-1, normalizedDelta);
+		} else if (titleMode == 4) {
+			generateControllerScreen(-1, normalizedDelta);
+		} else if (titleMode == 5) {
+			generateKeyboardScreen(-1, normalizedDelta);
+		} else if (titleMode == 6) {
+			generateSaveScreen(-1, normalizedDelta);
 		}
 		prevent(event)
 	}
@@ -1004,28 +1499,105 @@ function titleButtonSelected() {
 	}
 }
 
+// the controls a gamepad can press, as the keys they stand for, and the buttons ("b3") and
+// axes ("a1-" or "a1+", by direction) that press them unless the player remaps them
+var gamepadControls = [
+	{ name: "up", keyCode: 38, inputs: ["a1-", "a7-"] },		// left stick, D-pad
+	{ name: "down", keyCode: 40, inputs: ["a1+", "a7+"] },
+	{ name: "left", keyCode: 37, inputs: ["a0-", "a6-"] },
+	{ name: "right", keyCode: 39, inputs: ["a0+", "a6+"] },
+	{ name: "action", keyCode: 88, inputs: ["b2", "b0", "b5", "a1+"] },	// X, A, RB, RT
+	{ name: "undo", keyCode: 90, inputs: ["b1", "a2+"] },		// B, LT
+	{ name: "restart", keyCode: 82, inputs: ["b3", "b4"] },		// Y, LB
+	{ name: "pause", keyCode: 27, inputs: ["b7"] },			// menu button
+	{ name: "edit", keyCode: 69, inputs: ["b6"] },			// change view button
+];
+var gamepadDeadZone = 0.5;	// how far an axis must move to count, unless the player changes it
+
+var gamepadMappings = {};	// controller id -> { controls: { name: [input] }, deadZone }
+var gamepadIgnored = {};	// gamepad index -> inputs held when a setting was chosen, ignored until let go
 var gamepadKeys = []; // used to store keys held at previous frame
 
-function pollGamepads() {
-	function buttonCheck(buttons, i) {
-		if(buttons.length < i) {
-			return false;
+function getConnectedGamepads() {
+	var gamepads = navigator.getGamepads ? navigator.getGamepads() : (navigator.webkitGetGamepads ? navigator.webkitGetGamepads() : []);
+	return Array.from(gamepads || []).filter(function(gamepad) {
+		return gamepad != null && gamepad.connected;
+	});
+}
+
+function getDefaultGamepadMapping() {
+	var controls = {};
+	for (var control of gamepadControls) {
+		controls[control.name] = control.inputs.concat([]);
+	}
+	return { controls: controls, deadZone: gamepadDeadZone };
+}
+
+// the mapping for a controller, as saved by the player, or the default
+function getGamepadMapping(id) {
+	if (!(id in gamepadMappings)) {
+		var mapping = getDefaultGamepadMapping();
+		try {
+			var saved = JSON.parse(storage_get("gamepad_" + id));
+			if (saved) {
+				Object.assign(mapping.controls, saved.controls);
+				mapping.deadZone = saved.deadZone || mapping.deadZone;
+			}
+		} catch (error) {
+			// keep the default
 		}
-		
-		if(typeof(buttons[i]) == "object") {
-			return buttons[i].pressed;
+		gamepadMappings[id] = mapping;
+	}
+	return gamepadMappings[id];
+}
+
+function saveGamepadMapping(id) {
+	storage_set("gamepad_" + id, JSON.stringify(gamepadMappings[id]));
+}
+
+function resetGamepadMapping(id) {
+	gamepadMappings[id] = getDefaultGamepadMapping();
+	storage_remove("gamepad_" + id);
+}
+
+// make a button or axis the only one for a control, taking it from any other
+function bindGamepadInput(id, name, input) {
+	var mapping = getGamepadMapping(id);
+	for (var control in mapping.controls) {
+		mapping.controls[control] = mapping.controls[control].filter(function(i) { return i !== input; });
+	}
+	mapping.controls[name] = [input];
+	saveGamepadMapping(id);
+}
+
+// the buttons and axes held on a gamepad, as in gamepadControls
+function getGamepadInputs(gamepad, deadZone) {
+	var inputs = [];
+	for (var i = 0; i < gamepad.buttons.length; i++) {
+		var button = gamepad.buttons[i];
+		if (typeof(button) == "object" ? button.pressed : button == 1.0) {
+			inputs.push("b" + i);
 		}
-	
-		return buttons[i] == 1.0;
 	}
-	function axisCheck(axes, i, dir) {
-		if(axes.length < i) {
-			return false;
+	for (var i = 0; i < gamepad.axes.length; i++) {
+		if (Math.abs(gamepad.axes[i]) > deadZone) {
+			inputs.push("a" + i + (gamepad.axes[i] > 0 ? "+" : "-"));
 		}
-		
-		return axes[i] * dir > 0.5;
 	}
+	return inputs;
+}
+
+// ignore whatever is held on a gamepad until it is let go, so that choosing a setting does not also do something
+function ignoreGamepadInputs(gamepad) {
+	gamepadIgnored[gamepad.index] = getGamepadInputs(gamepad, getGamepadMapping(gamepad.id).deadZone);
+}
+
+// how buttons and axes are shown on the controller screen, like "B3 A1-"
+function gamepadInputNames(inputs) {
+	return inputs.map(function(input) { return input.toUpperCase(); }).join(" ");
+}
 
+function pollGamepads() {
 	var newGamepadKeys = [];
 
 	function keyPressed(keycode) {
@@ -1057,61 +1629,28 @@ function pollGamepads() {
 		gamepadKeys = newGamepadKeys;
 	}
 
-	var gamepads = navigator.getGamepads ? navigator.getGamepads() : (navigator.webkitGetGamepads ? navigator.webkitGetGamepads() : []);
-	if(gamepads == null || gamepads.length == 0) {
-		clear();
-		return;
-	}
-
-	for(var i = 0; i < gamepads.length; i++) {
-		var gamepad = gamepads[i];
-		
-		if(gamepad == null || !gamepad.connected) {
+	for (var gamepad of getConnectedGamepads()) {
+		var mapping = getGamepadMapping(gamepad.id);
+		var inputs = getGamepadInputs(gamepad, mapping.deadZone);
+		var ignored = (gamepadIgnored[gamepad.index] || []).filter(function(input) { return inputs.includes(input); });
+		gamepadIgnored[gamepad.index] = ignored;
+		inputs = inputs.filter(function(input) { return !ignored.includes(input); });
+
+		// the controller screen is waiting for a button or axis to remap a control to
+		if (controllerListening !== null && gamepad.index === controllerIndex) {
+			if (inputs.length > 0) {
+				bindGamepadInput(gamepad.id, controllerListening, inputs[0]);
+				controllerListening = null;
+				ignoreGamepadInputs(gamepad);
+				generateControllerScreen();
+			}
 			continue;
 		}
 
-		if(buttonCheck(gamepad.buttons, 3) // Y
-			|| buttonCheck(gamepad.buttons, 4)) { // LB
-			
-			keyPressed(82); // restart
-		}
-		if(buttonCheck(gamepad.buttons, 1) // B
-			|| axisCheck(gamepad.axes, 2, 1)) { // LT
-			
-			keyPressed(90); // undo
-		}
-		if(buttonCheck(gamepad.buttons, 2) // X
-			|| buttonCheck(gamepad.buttons, 0) // A
-			|| buttonCheck(gamepad.buttons, 5) // RB
-			|| axisCheck(gamepad.axes, 1, 1)) { // RT
-			
-			keyPressed(88); // action
-		}
-		if(buttonCheck(gamepad.buttons, 7)) { // menu button
-			keyPressed(27); // exit
-		}
-		if(buttonCheck(gamepad.buttons, 6)) { // change view button
-			keyPressed(69); // edit
-		}
-		if(axisCheck(gamepad.axes, 0, 1) // right
-			|| axisCheck(gamepad.axes, 6, 1)) { // D-pad right
-			
-			keyPressed(39); // right
-		}
-		if(axisCheck(gamepad.axes, 0, -1) // left
-			|| axisCheck(gamepad.axes, 6, -1)) { // D-pad left
-			
-			keyPressed(37); // left
-		}
-		if(axisCheck(gamepad.axes, 1, -1) // up
-			|| axisCheck(gamepad.axes, 7, -1)) { // D-pad up
-			
-			keyPressed(38); // up
-		}
-		if(axisCheck(gamepad.axes, 1, 1) // down
-			|| axisCheck(gamepad.axes, 7, 1)) { // D-pad down
-			
-			keyPressed(40); // down
+		for (var control of gamepadControls) {
+			if (mapping.controls[control.name].some(function(input) { return inputs.includes(input); })) {
+				keyPressed(control.keyCode);
+			}
 		}
 	}
 
@@ -1119,7 +1658,8 @@ function pollGamepads() {
 }
 
 let debugTimestamp
-function checkKey(e,justPressed) {
+// handle a key, as the key code for it after getBoundKeyCode()
+function checkKey(e,justPressed,keyCode=e.keyCode) {
     if (debugSwitch.includes('input') && justPressed) console.log('checkKey', prevTimestamp, e, justPressed);
     if (debugSwitch.includes('key')) {
 		const ele = document.getElementById('debug');
@@ -1135,11 +1675,11 @@ function checkKey(e,justPressed) {
 	if (e&&(e.ctrlKey || e.metaKey|| e.altKey)){
 		return;
 	}
-	if (e.keyCode >= 0x70 && e.keyCode <= 0x83) // function keys
+	if (keyCode >= 0x70 && keyCode <= 0x83) // function keys
 		return;
 	
     var inputdir=-1;
-    switch(e.keyCode) {
+    switch(keyCode) {
         case 65://a
         case 37: //left
         {
@@ -1213,10 +1753,33 @@ function checkKey(e,justPressed) {
         }
         case 27://escape
         {
-        	if(solving) {
+        	if(solving || solverWorker) {
         		stopSolving();
         		break;
         	}
+			if (titleScreen && titleMode == 5) {
+				if (justPressed) {
+					goToPauseScreen();
+				}
+				return prevent(e);
+			}
+			if (titleScreen && titleMode == 6) {
+				if (justPressed) {
+					goToTitleScreen();
+				}
+				return prevent(e);
+			}
+			if (titleScreen && titleMode == 4) {
+				if (justPressed) {
+					if (controllerListening !== null) {
+						controllerListening = null;
+						generateControllerScreen();
+					} else {
+						goToPauseScreen();
+					}
+				}
+				return prevent(e);
+			}
 			if (!titleScreen && state.metadata.enable_pause) {
 				goToPauseScreen(); 
 				canvasResize();
@@ -1275,8 +1838,8 @@ function checkKey(e,justPressed) {
 		{
         	if (levelEditorOpened&&justPressed) {
         		var num=9;
-        		if (e.keyCode>=49)  {
-        			num = e.keyCode-49;
+        		if (keyCode>=49)  {
+        			num = keyCode-49;
         		}
 
 				if (num<glyphImages.length) {
@@ -1368,6 +1931,28 @@ function checkKey(e,justPressed) {
 					} else if (inputdir == 0 || inputdir == 2) {
 						generatePauseScreen(-1, inputdir == 0 ? -1 : 1);
 					}
+				} else if (titleMode == 5) {
+					if (inputdir == 4 && justPressed) {
+						selectKeyboardScreen(keyboardLine);
+					} else if (inputdir == 0 || inputdir == 2) {
+						generateKeyboardScreen(-1, inputdir == 0 ? -1 : 1);
+					}
+				} else if (titleMode == 6) {
+					if (inputdir == 4 && justPressed) {
+						selectSaveScreen(saveLine);
+					} else if (inputdir == 0 || inputdir == 2) {
+						generateSaveScreen(-1, inputdir == 0 ? -1 : 1);
+					}
+				} else if (titleMode == 4) {
+					if (controllerListening !== null) {
+						// waiting for the gamepad
+					} else if (inputdir == 4 && justPressed) {
+						selectControllerScreen(controllerLine);
+					} else if ((inputdir == 1 || inputdir == 3) && justPressed && (controllerLine == 1 || controllerLine == gamepadControls.length + 2)) {
+						selectControllerScreen(controllerLine, inputdir == 1 ? -1 : 1);
+					} else if (inputdir == 0 || inputdir == 2) {
+						generateControllerScreen(-1, inputdir == 0 ? -1 : 1);
+					}
 				} else {
 					if (inputdir==4&&justPressed) {
 						if (titleSelected===false) {    				
@@ -1473,6 +2058,9 @@ function update() {
             quittingMessageScreen=false;
             if (state.levels[curLevelNo].message) {
             	nextLevel();
+            } else if (parResult !== null) {
+            	parResult = null;
+            	nextLevel();
             } else {
             	messagetext="";
             	textMode=false;
@@ -1489,7 +2077,9 @@ function update() {
     if (winning) {
         if (timer/1000>0.5) {
             winning=false;
-            nextLevel();
+            if (!showParResult()) {
+            	nextLevel();
+            }
         }
 	}
 	
@@ -1512,7 +2102,7 @@ function update() {
 	    }
 	}
 
-    if (autotickinterval>0&&!textMode&&!levelEditorOpened&&!againing&&!winning) {
+    if (autotickinterval>0&&!textMode&&!levelEditorOpened&&!againing&&!winning&&!(typeof isReplaying === 'function' && isReplaying())) {
         autotick+=deltatime;
         if (autotick>autotickinterval) {
             autotick=0;
@@ -80,6 +80,23 @@ Mobile.debugDot = function (event) {
         quit:    27 // escape
     }
 
+    // Template for the on-screen D-pad and buttons.
+    var TOUCH_CONTROLS_STRING = [
+        '<div class="touch-controls">',
+        '  <div class="touch-dpad">',
+        '    <div class="touch-button up" data-input="up">&#9650;</div>',
+        '    <div class="touch-button left" data-input="left">&#9664;</div>',
+        '    <div class="touch-button right" data-input="right">&#9654;</div>',
+        '    <div class="touch-button down" data-input="down">&#9660;</div>',
+        '  </div>',
+        '  <div class="touch-actions">',
+        '    <div class="touch-button action" data-input="action">Action</div>',
+        '    <div class="touch-button undo" data-input="undo">Undo</div>',
+        '    <div class="touch-button restart" data-input="restart">Restart</div>',
+        '  </div>',
+        '</div>'
+    ].join("\n");
+
     var TAB_STRING = [
         '<div class="tab">',
         '  <div class="tab-affordance"></div>',
@@ -115,6 +132,7 @@ Mobile.debugDot = function (event) {
 
     proto.bootstrap = function () {
         this.showTab();
+        this.updateTouchControls();
         this.disableScrolling();
         if (!this.isAudioSupported()) {
             this.disableAudio();
@@ -441,7 +459,7 @@ Mobile.debugDot = function (event) {
 
         var event;
 
-        event = { keyCode: CODE[input] };
+        event = { keyCode: CODE[input], control: input };
 
         this.fakeCanvasFocus();
         // Press, then release key.
@@ -703,6 +721,60 @@ Mobile.debugDot = function (event) {
         document.body.setAttribute('style', styleString)
     }
 
+    /** Touch Controls **/
+
+    proto.buildTouchControls = function () {
+        var self = this;
+        var tempElem, body;
+
+        tempElem = document.createElement('div');
+        tempElem.innerHTML = TOUCH_CONTROLS_STRING;
+        this.touchControlsElem = tempElem.children[0];
+
+        Array.prototype.forEach.call(this.touchControlsElem.getElementsByClassName('touch-button'), function (button) {
+            var event = { keyCode: CODE[button.getAttribute('data-input')], control: button.getAttribute('data-input') };
+            var release = function (touchEvent) {
+                prevent(touchEvent);
+                onKeyUp(event);
+            };
+            // Hold the key down for as long as the button is, so that it repeats.
+            button.addEventListener('touchstart', function (touchEvent) {
+                prevent(touchEvent);
+                self.fakeCanvasFocus();
+                onKeyDown(event);
+            });
+            button.addEventListener('touchend', release);
+            button.addEventListener('touchcancel', release);
+            button.addEventListener("click", event => {});
+        });
+
+        body = document.getElementsByTagName('body')[0];
+        body.appendChild(this.touchControlsElem);
+    };
+
+    // Show the D-pad and buttons, unless this is the editor or the game hides them,
+    // and only the buttons the game uses. Called whenever the prelude settings change.
+    proto.updateTouchControls = function () {
+        var metadata, isVisible, body;
+
+        metadata = state.metadata;
+        isVisible = !IDE && !metadata.hide_touch_controls;
+        if (isVisible && !this.touchControlsElem) {
+            this.buildTouchControls();
+        }
+        if (!this.touchControlsElem) {
+            return;
+        }
+        this.touchControlsElem.getElementsByClassName('action')[0].style.display = metadata.noaction ? 'none' : '';
+        this.touchControlsElem.getElementsByClassName('undo')[0].style.display = metadata.noundo ? 'none' : '';
+        this.touchControlsElem.getElementsByClassName('restart')[0].style.display = metadata.norestart ? 'none' : '';
+
+        // Make room for them below the game, which is resized when a level is loaded.
+        body = document.getElementsByTagName('body')[0];
+        body.classList.toggle('touch-controls-visible', isVisible);
+        this.touchControlsElem.style.display = isVisible ? '' : 'none';
+    };
+
     /** Audio Methods **/
 
     proto.disableAudio = function () {
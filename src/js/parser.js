@@ -216,25 +216,25 @@ var codeMirrorFn = function() {
         'cancel', 'checkpoint', 'restart', 'win', 'message', 'again', 'undo', 'restart', 'titlescreen', 'startgame', 'cancel', 'endgame', 
         'startlevel', 'endlevel', 'showmessage', 'closemessage' ];
     const prelude_keywords = ['allow_undo_level', 'auto_level_titles', 'case_sensitive', 'continue_is_level_select', 'debug', 'enable_pause', 
-        'level_select', 'level_select_lock', 
+        'hide_touch_controls', 'level_select', 'level_select_lock', 
         'mouse_clicks', 'noaction', 'nokeyboard', 'norepeat_action', 'norestart', 'noundo', 'require_player_movement', 
-        'run_rules_on_level_start', 'runtime_metadata_twiddling', 'runtime_metadata_twiddling_debug', 'scanline', 
+        'run_rules_on_level_start', 'runtime_metadata_twiddling', 'runtime_metadata_twiddling_debug', 'save_slots', 'scanline', 
         'skip_title_screen', 'smoothscreen_debug', 'status_line', 'throttle_movement', 'verbose_logging'];
     const prelude_param_text = ['title', 'author', 'homepage', 'custom_font', 'text_controls', 'text_message_continue', 'debug_switch', 'export_options' ];
     const prelude_param_number = ['again_interval', 'animate_interval', 'font_size', 'key_repeat_interval', 
         'level_select_unlocked_ahead', 'level_select_unlocked_rollover', 'local_radius', 'realtime_interval', 
-        'tween_length', 'tween_snap'];
+        'solver_beam_width', 'tween_length', 'tween_snap'];
     const prelude_param_single = [
-        'background_color', 'flickscreen', 'level_select_solve_symbol', 'keyhint_color', 
+        'background_color', 'flickscreen', 'level_select_solve_symbol', 'level_select_perfect_symbol', 'keyhint_color', 
         'message_text_align', 'mouse_drag', 'mouse_left', 'mouse_rdrag', 'mouse_right', 'mouse_rup', 'mouse_up',
-        'sitelock_hostname_whitelist', 'sitelock_origin_whitelist', 'sprite_size', 'text_color', 'tween_easing', 'zoomscreen',
+        'sitelock_hostname_whitelist', 'sitelock_origin_whitelist', 'solver_strategy', 'sprite_size', 'text_color', 'tween_easing', 'zoomscreen',
         'author_color', 'title_color'
     ];
     const prelude_not_implemented = [
         'game_uri', 'level_title_style', 'show_level_title_in_menu', 
     ];
     const prelude_param_multi = [
-        'smoothscreen', 'puzzlescript', 'youtube', 'load_images', 'color_palette'
+        'smoothscreen', 'puzzlescript', 'youtube', 'load_images', 'color_palette', 'key_bindings'
     ];
     const prelude_tables = [prelude_keywords, prelude_param_text, prelude_param_number, 
         prelude_param_single, prelude_param_multi];
@@ -1743,6 +1743,8 @@ var codeMirrorFn = function() {
     //  line ::= MESSAGE <text>
     //         | SECTION <text>
     //         | GOTO <text>
+    //         | SOLUTION <moves>
+    //         | PAR <number>
     //         | ( <levelchar>+ [ WS comment ] )+
     function parseLevel(stream, state) {
         const lexer = new Lexer(stream, state);
@@ -1759,7 +1761,7 @@ var codeMirrorFn = function() {
         function getTokens() {
             let token
             // start of parse
-            if (token = lexer.match(/^(goto|level|link|message|section|title|input)/i, true)) { // allow omision of whitespace (with no warning!)
+            if (token = lexer.match(/^(goto|level|link|message|section|title|input|(solution|par)(?=\s|$))/i, true)) { // allow omision of whitespace (with no warning!), except after words that a row of glyphs could spell
                 symbols.start = token;
                 lexer.pushToken(token, `${errorCase(token)}_VERB`);
 
@@ -1808,7 +1810,7 @@ var codeMirrorFn = function() {
                 state.levels.pop();
                 toplevel = null;
             }
-            const cmds = [ 'goto', 'level', 'link', 'message', 'section', 'title', 'input' ];
+            const cmds = [ 'goto', 'level', 'link', 'message', 'section', 'title', 'input', 'solution', 'par' ];
             if (cmds.includes(symbols.start))
                 state.levels.push([ symbols.start, symbols.text, state.lineNumber, symbols.link ]);
             else {
@@ -0,0 +1,137 @@
+// The rule profiler: times each rule group, resolving movements and whole turns as the game is
+// played, to find what makes turns slow. PROFILE starts, and PROFILE REPORT stops and prints a
+// table of the rule groups to the console, slowest first; click a column heading to sort by it.
+// Turns include the again checks they make, which are also listed on their own.
+
+var profileState = null;	// the game being profiled, for the late rules
+
+var profileTurnNames = {
+	"input": "Input turns",
+	"tick": "Realtime ticks",
+	"again": "Again turns",
+	"again check": "Checks for again turns",
+	"level start": "Rules run at level start",
+};
+
+function isProfilingRules() {
+	return ruleProfile !== null;
+}
+
+function startProfile() {
+	if (state === undefined) {
+		consoleError("Run the game first, to profile its rules.");
+		return;
+	}
+	ruleProfile = {
+		groups: new Map(),		// rule group => { calls, attempts, applied, time }
+		turns: {},			// kind of turn => { count, time, max }
+		movements: { count: 0, time: 0, rigidRetries: 0 },
+	};
+	profileState = state;
+	document.getElementById("profileClickLink").textContent = "PROFILE REPORT";
+	consolePrint("Profiling the rules. Play the game or play back a replay, then click PROFILE REPORT.", true);
+}
+
+// called by the engine after each rule group, with the number of rules it tried to match and applied
+function profileRuleGroup(ruleGroup, time, attempts, applied) {
+	var entry = ruleProfile.groups.get(ruleGroup);
+	if (entry === undefined) {
+		entry = { calls: 0, attempts: 0, applied: 0, time: 0 };
+		ruleProfile.groups.set(ruleGroup, entry);
+	}
+	entry.calls++;
+	entry.attempts += attempts;
+	entry.applied += applied;
+	entry.time += time;
+}
+
+// called by the engine after resolving movements, which is tried again if a rigid body could not move
+function profileMovements(time, rigidRetry) {
+	var movements = ruleProfile.movements;
+	movements.count++;
+	movements.time += time;
+	if (rigidRetry) {
+		movements.rigidRetries++;
+	}
+}
+
+// called by the engine after each turn: an input, a realtime tick, an again turn, a check for
+// whether an again turn would change anything, or the rules run when a level starts
+function profileTurn(kind, time) {
+	if (!ruleProfile.turns.hasOwnProperty(kind)) {
+		ruleProfile.turns[kind] = { count: 0, time: 0, max: 0 };
+	}
+	var turns = ruleProfile.turns[kind];
+	turns.count++;
+	turns.time += time;
+	turns.max = Math.max(turns.max, time);
+}
+
+function formatProfileTime(time) {
+	return time.toFixed(time < 10 ? 2 : 1);
+}
+
+function profileCell(value, text) {
+	return "<td data-value=\"" + value + "\">" + (text === undefined ? value : text) + "</td>";
+}
+
+// sort the rows of a profile table by the column of a heading, largest first, then smallest first
+// when clicked again
+function sortProfileTable(heading) {
+	var table = heading.closest("table");
+	var descending = heading.dataset.sorted !== "descending";
+	table.querySelectorAll("th").forEach(th => delete th.dataset.sorted);
+	heading.dataset.sorted = descending ? "descending" : "ascending";
+	var body = table.tBodies[0];
+	var rows = Array.from(body.rows);
+	rows.sort((a, b) => (a.cells[heading.cellIndex].dataset.value - b.cells[heading.cellIndex].dataset.value) * (descending ? -1 : 1));
+	rows.forEach(row => body.appendChild(row));
+}
+
+// stop profiling, and print the turns, movements and a table of the rule groups to the console
+function reportProfile() {
+	var profile = ruleProfile;
+	ruleProfile = null;
+	document.getElementById("profileClickLink").textContent = "PROFILE";
+
+	var turnKinds = Object.keys(profile.turns);
+	if (turnKinds.length === 0) {
+		consolePrint("Nothing was profiled, as no turns were played.", true);
+		return;
+	}
+	consolePrint("Rule profile:", true);
+	turnKinds.forEach(function(kind) {
+		var turns = profile.turns[kind];
+		consolePrint("&nbsp;&nbsp;" + profileTurnNames[kind] + ": " + turns.count + ", " + formatProfileTime(turns.time) +
+			" ms, " + formatProfileTime(turns.time / turns.count) + " ms each, slowest " + formatProfileTime(turns.max) + " ms.", true);
+	});
+	var movements = profile.movements;
+	consolePrint("&nbsp;&nbsp;Resolving movements: " + movements.count + ", " + formatProfileTime(movements.time) + " ms, " +
+		movements.rigidRetries + " of them retried for rigid bodies.", true);
+
+	var lateGroups = new Set(profileState.lateRules);
+	var groups = [...profile.groups.entries()].sort((a, b) => b[1].time - a[1].time);
+	var totalTime = groups.reduce((sum, [group, entry]) => sum + entry.time, 0);
+	var headings = ["Line", "Rules", "Calls", "Attempts", "Applied", "Time (ms)", "% of rules"];
+	var html = "<table class=\"profileTable\"><thead><tr>" +
+		headings.map(heading => "<th onclick=\"sortProfileTable(this)\" title=\"Sort by " + heading.toLowerCase() + "\">" + heading + "</th>").join("") +
+		"</tr></thead><tbody>";
+	groups.forEach(function([group, entry]) {
+		var lineNumber = group[0].lineNumber;
+		var flags = (lateGroups.has(group) ? " late" : "") + (group[0].isRandom ? " random" : "");
+		var share = totalTime > 0 ? 100 * entry.time / totalTime : 0;
+		html += "<tr>" + profileCell(lineNumber, htmlJump(lineNumber) + flags) + profileCell(group.length) + profileCell(entry.calls) +
+			profileCell(entry.attempts) + profileCell(entry.applied) + profileCell(entry.time, formatProfileTime(entry.time)) +
+			profileCell(share, share.toFixed(1)) + "</tr>";
+	});
+	html += "</tbody></table>";
+	consolePrint(html, true);
+}
+
+function toggleProfile() {
+	if (isProfilingRules()) {
+		reportProfile();
+	} else {
+		startProfile();
+	}
+}
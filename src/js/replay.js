@@ -0,0 +1,265 @@
+// Replays: the inputs played in a level, saved to a file so that the session can be played back
+// later, for example to reproduce a bug. The recording is the one kept in debug.js and used by
+// makegif.js. Each replay has the seed that the level was loaded with, so random rules repeat,
+// and a hash of the game source, to warn when it is played back against a different version.
+//
+// The file is JSON, like this:
+//   { "format": "puzzlescript-replay", "version": 1, "title": "My game", "scriptHash": "1a2b3c4d",
+//     "seed": "0.123", "level": 3, "inputs": [3, 3, "tick", "mouse,-1,14", "undo"], "sounds": [...] }
+// level counts messages, as for the test data, and inputs use the inputHistory format.
+
+var REPLAY_FORMAT = "puzzlescript-replay";
+var REPLAY_VERSION = 1;
+var replayInterval = 250;	// ms between inputs when playing
+
+var replay = null;			// the replay being played back: { data, position, timer }
+
+// 32 bit FNV-1a hash of the game source, in hex
+function hashScript(text) {
+	var hash = 0x811c9dc5;
+	for (var i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// the recording of the current level, as a replay
+function makeReplay() {
+	return {
+		format: REPLAY_FORMAT,
+		version: REPLAY_VERSION,
+		title: state.metadata.title || null,
+		scriptHash: hashScript(compiledText),
+		seed: loadedLevelSeed,
+		level: recordingStartsFromLevel,
+		inputs: inputHistory.concat([]),
+		sounds: soundHistory.concat([]),
+	};
+}
+
+function isReplayInput(input) {
+	return (Number.isInteger(input) && input >= 0 && input <= 4)
+		|| input === "undo" || input === "restart" || input === "tick"
+		|| /^mouse,-?\d+,\d+$/.test(input);
+}
+
+// check the text of a replay file and return the replay, or throw an error saying what is wrong
+function parseReplay(text) {
+	var data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new Error("it is not a replay file (" + error.message + ")");
+	}
+	if (data === null || typeof data !== "object" || data.format !== REPLAY_FORMAT) {
+		throw new Error("it is not a replay file");
+	}
+	if (!Number.isInteger(data.version) || data.version < 1 || data.version > REPLAY_VERSION) {
+		throw new Error("it is replay version " + data.version + ", and this editor can only play up to version " + REPLAY_VERSION);
+	}
+	if (!Number.isInteger(data.level) || data.level < 0 || data.seed == null
+			|| !Array.isArray(data.inputs) || !data.inputs.every(isReplayInput)) {
+		throw new Error("its level, seed or inputs are missing or invalid");
+	}
+	if (!Array.isArray(data.sounds)) {
+		data.sounds = null;
+	}
+	return data;
+}
+
+function isReplaying() {
+	return replay !== null;
+}
+
+function saveReplay() {
+	if (state === undefined || titleScreen || textMode) {
+		consoleError("Start playing a level to save a replay of it.");
+		return;
+	}
+	var data = makeReplay();
+	var filename = (state.metadata.title || "untitled") + " level " + data.level + ".replay.json";
+	saveAs(new Blob([JSON.stringify(data)], { type: "application/json;charset=utf-8" }), filename);
+	consolePrint("Saved a replay of " + data.inputs.length + " inputs as " + filename + ".", true);
+}
+
+// ask for a replay file, then play it back
+function loadReplay() {
+	var fileInput = document.getElementById("replayFileInput");
+	fileInput.value = "";
+	fileInput.onchange = function() {
+		var file = fileInput.files[0];
+		if (!file) {
+			return;
+		}
+		var reader = new FileReader();
+		reader.onload = function() {
+			try {
+				startReplay(parseReplay(reader.result));
+			} catch (error) {
+				consoleError("Could not play " + file.name + ": " + error.message + ".");
+			}
+		};
+		reader.readAsText(file);
+	};
+	fileInput.click();
+}
+
+// start playing back a replay, paused at its first input
+function startReplay(data) {
+	if (state === undefined || compiledText === undefined) {
+		throw new Error("run the game first");
+	}
+	if (levelEditorOpened || solving || solverWorker) {
+		throw new Error("close the level editor and stop the solver first");
+	}
+	var level = state.levels[data.level];
+	if (level === undefined || level.message !== undefined) {
+		throw new Error("it starts on level " + data.level + ", which is not a level in this game");
+	}
+	if (data.scriptHash !== hashScript(compiledText)) {
+		consolePrint(htmlClass("warningText", "This replay was made with a different version of the game, so it may not play back the same."), true);
+	}
+	stopReplay();
+	replay = { data: data, position: 0, timer: null };
+	document.getElementById("replayControls").hidden = false;
+	document.getElementById("replaySlider").max = data.inputs.length;
+	seekReplay(0);
+	consolePrint("Playing back a replay of " + data.inputs.length + " inputs" + (data.title ? " of " + data.title : "") +
+		", starting at line " + htmlJump(level.lineNumber) + ".", true);
+}
+
+// stop playing back, leaving the game where it is. Playing on records from there.
+function stopReplay() {
+	if (replay === null) {
+		return;
+	}
+	pauseReplay();
+	replay = null;
+	document.getElementById("replayControls").hidden = true;
+}
+
+function applyReplayInput(input) {
+	if (input === "undo") {
+		DoUndo(false, true);
+	} else if (input === "restart") {
+		DoRestart();
+	} else if (input === "tick") {
+		processInput(-1);
+	} else if (typeof input === "string") {
+		var args = input.split(",");
+		mouseInput(+args[1], +args[2]);
+	} else {
+		processInput(input);
+	}
+	while (againing) {
+		processInput(-1);
+	}
+}
+
+// go to the position after the first n inputs, by playing them quietly from the start of the level
+function seekReplay(n) {
+	var inputs = replay.data.inputs;
+	n = Math.max(0, Math.min(n, inputs.length));
+	var wasMuted = muted;
+	var was_verbose_logging = verbose_logging;
+	muted = true;
+	verbose_logging = false;
+	try {
+		setGameState(state, ["loadLevel", replay.data.level], replay.data.seed);
+		for (var i = 0; i < n; i++) {
+			applyReplayInput(inputs[i]);
+		}
+	} finally {
+		muted = wasMuted;
+		verbose_logging = was_verbose_logging;
+	}
+	inputHistory = inputs.slice(0, n);
+	replay.position = n;
+	updateReplayControls();
+	redraw();
+}
+
+// play the next input, with sound
+function stepReplay() {
+	var inputs = replay.data.inputs;
+	if (replay.position >= inputs.length) {
+		return false;
+	}
+	var input = inputs[replay.position++];
+	applyReplayInput(input);
+	inputHistory.push(input);
+	if (replay.position === inputs.length && replay.data.sounds !== null
+			&& JSON.stringify(soundHistory) !== JSON.stringify(replay.data.sounds)) {
+		consolePrint(htmlClass("warningText", "The sounds played were not the same as when the replay was made, so the game did something different."), true);
+	}
+	updateReplayControls();
+	redraw();
+	return true;
+}
+
+function playReplay() {
+	if (replay.position >= replay.data.inputs.length) {
+		seekReplay(0);
+	}
+	var next = function() {
+		if (!stepReplay() || replay.position >= replay.data.inputs.length) {
+			pauseReplay();
+			return;
+		}
+		var input = replay.data.inputs[replay.position];
+		replay.timer = setTimeout(next, input === "tick" && autotickinterval > 0 ? autotickinterval : replayInterval);
+	};
+	replay.timer = setTimeout(next, replayInterval);
+	updateReplayControls();
+}
+
+function pauseReplay() {
+	if (replay.timer !== null) {
+		clearTimeout(replay.timer);
+		replay.timer = null;
+	}
+	updateReplayControls();
+}
+
+function updateReplayControls() {
+	var length = replay.data.inputs.length;
+	document.getElementById("replaySlider").value = replay.position;
+	document.getElementById("replayPosition").textContent = replay.position + " / " + length;
+	document.getElementById("replayPlayClickLink").textContent = replay.timer === null ? "PLAY" : "PAUSE";
+}
+
+function replayPlayClick() {
+	if (replay.timer === null) {
+		playReplay();
+	} else {
+		pauseReplay();
+	}
+}
+
+function replayStartClick() {
+	pauseReplay();
+	seekReplay(0);
+}
+
+function replayBackClick() {
+	pauseReplay();
+	seekReplay(replay.position - 1);
+}
+
+function replayStepClick() {
+	pauseReplay();
+	stepReplay();
+}
+
+function replaySliderInput() {
+	pauseReplay();
+	seekReplay(+document.getElementById("replaySlider").value);
+}
+
+document.getElementById("replayStartClickLink").addEventListener("click", replayStartClick, false);
+document.getElementById("replayBackClickLink").addEventListener("click", replayBackClick, false);
+document.getElementById("replayPlayClickLink").addEventListener("click", replayPlayClick, false);
+document.getElementById("replayStepClickLink").addEventListener("click", replayStepClick, false);
+document.getElementById("replaySlider").addEventListener("input", replaySliderInput, false);
+document.getElementById("replayCloseClickLink").addEventListener("click", stopReplay, false);
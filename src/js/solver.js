@@ -1,5 +1,8 @@
 var abortSolver = false;
 var solving = false;
+var verifying = false;		// replaying the SOLUTIONs, which rule coverage counts unlike a search
+var solverWorker = null;
+var stopSolverWorker = null;
 
 const timeout = ms => new Promise(res => setTimeout(res, ms))
 
@@ -7,15 +10,20 @@ function byScoreAndLength(a, b) {
 	if(a[0] != b[0]) {
 		return a[0] < b[0];
 	} else {
-		return a[2].length < b[2].length;
+		return a[2] < b[2];
 	}
 }
 
 var distanceTable;
 
+// solver moves for the keys, indexed by input direction, and t to wait for a tick in realtime
+// games. Clicks are coded as characters from 0x100 up, see solverMoveToInput().
+var act2str = "uldrx";
+var tickMove = "t";
+
 async function solve() {
 	if(levelEditorOpened) return;
-	if(solving) return;
+	if(solving || solverWorker) return;
 	if(textMode || state.levels.length === 0) return;
 	var was_verbose_logging = false;
 	if (verbose_logging) {
@@ -24,8 +32,303 @@ async function solve() {
 		was_verbose_logging = true;
 		consolePrint("Disabling verbose logging to speed up solver")
 	}
-	precalcDistances();
 	abortSolver = false;
+	var strategy = document.getElementById("solverStrategyDropdown").value || state.metadata.solver_strategy || "best";
+	consolePrint("searching (" + solverStrategies[strategy].name + ")...");
+	var solvingProgress = document.getElementById("solvingProgress");
+	var cancelLink = document.getElementById("cancelClickLink");
+	cancelLink.hidden = false;
+	// console.log("searching...");
+	var solvedState = state;
+	var solvedLevelNo = curLevelNo;
+
+	try {
+		var result = await searchLevelInWorker({
+			strategy: strategy,
+			onProgress: function(size, rate) {
+				// consolePrint("searched: " + size);
+				solvingProgress.innerHTML = "searched: " + size + " (" + rate + "/s)";
+				redraw();
+				return timeout(1);
+			},
+			shouldAbort: function() {
+				return abortSolver;
+			},
+		});
+	} catch (error) {
+		result = { status: "error", solution: null, explored: 0 };
+		consoleError("solver failed: " + error.message);
+	}
+	// the game may have been rebuilt or moved on while the worker was searching
+	var sameLevel = state === solvedState && curLevelNo === solvedLevelNo;
+
+	if (result.solution !== null) {
+		var nms = result.inputs.map(solverInputToString);
+		var chunks = "(" + chunkList(nms, 5).map(function(c) { return c.join(""); }).join(" ") + ")";
+
+		verbose_logging = true;
+		cache_console_messages = true;
+
+		consolePrint("solution found: (" + nms.length + " steps, " + result.explored + " positions explored)");
+		consolePrint(chunks);
+		console.log("solution found:\n" + chunks);
+
+		var step_limit = 200;
+		if (!sameLevel) {
+			consolePrint("The level has changed since the search began, not printing individual states");
+		} else if (nms.length >= step_limit) {
+			consolePrint("More than "+step_limit + " steps needed to solve puzzle, not printing individual states");
+		} else {
+			// replay the solution quietly, as the search did
+			var oldDT = deltatime;
+			var wasMuted = muted;
+			deltatime = 0;
+			solving = true;
+			muted = true;
+			verbose_logging = false;
+			//Reload starting state
+			DoRestart();
+
+			addToDebugTimeline(curLevel, 0);
+
+			for(var i = 0; i != nms.length; i++) {
+
+				var char = nms[i];
+
+				verbose_logging = false;
+
+				var again_turns = 0;
+				applySolverInput(result.inputs[i]);
+				while(againing) {
+					processInput(-1);
+					again_turns++;
+				}
+				verbose_logging = true;
+
+				var turn_id = addToDebugTimeline(curLevel, i+2);
+
+				var txt = "Turn "+(i+1)+", input "+char;
+				if (again_turns >= 1) {
+					txt += " (again turns: "+again_turns+")";
+				}
+				consolePrint(txt, false, null, turn_id);
+			}
+			deltatime = oldDT;
+			solving = false;
+			muted = wasMuted;
+			winning = false;
+		}
+
+		solvingProgress.innerHTML = "";
+		if (sameLevel) {
+			DoRestart();
+		}
+
+		cache_console_messages = was_verbose_logging;
+		verbose_logging = was_verbose_logging;
+
+		playSound(13219900);
+
+		redraw();
+		cancelLink.hidden = true;
+		return;
+	}
+
+	if (result.status == "aborted") {
+		consolePrint("solver aborted");
+	} else if (result.status == "memory") {
+		consolePrint("solver ran out of memory");
+	}
+	consolePrint("no solution found (" + result.explored + " positions explored)");
+	console.log("no solution found");
+
+	verbose_logging = was_verbose_logging;
+	cache_console_messages = was_verbose_logging;
+
+	solvingProgress.innerHTML = "";
+	playSound(52291704);
+	redraw();
+	cancelLink.hidden = true;
+}
+
+// replay the SOLUTION of every level that has one, from the start of the level, and report any
+// that no longer win (the VERIFY link in the editor)
+function verifySolutions() {
+	if(levelEditorOpened) return;
+	if(solving || solverWorker) return;
+	var indices = [];
+	for (var i = 0; i < state.levels.length; i++) {
+		if (state.levels[i].solution) {
+			indices.push(i);
+		}
+	}
+	if (indices.length == 0) {
+		consolePrint("There are no SOLUTION commands in the LEVELS to verify.");
+		return;
+	}
+
+	var saved = {
+		levelNo: curLevelNo,
+		titleScreen: titleScreen,
+		level: textMode ? null : backupLevel(),
+		backups: backups,
+		restartTarget: restartTarget,
+		curlevelTarget: curlevelTarget
+	};
+	var was_verbose_logging = verbose_logging;
+	var wasMuted = muted;
+	var oldDT = deltatime;
+	verbose_logging = false;
+	muted = true;
+	deltatime = 0;
+	solving = true;
+	verifying = true;
+
+	var failures = [];
+	for (var i = 0; i < indices.length; i++) {
+		var result = replaySolution(indices[i]);
+		if (!result.won) {
+			result.level = state.levels[indices[i]];
+			failures.push(result);
+		}
+	}
+
+	// back to where the designer was
+	winning = false;
+	if (saved.titleScreen) {
+		goToTitleScreen();
+	} else {
+		loadLevelFromState(state, saved.levelNo);
+		if (saved.level) {
+			restoreLevel(saved.level, true);
+		}
+		backups = saved.backups;
+		restartTarget = saved.restartTarget;
+		curlevelTarget = saved.curlevelTarget;
+	}
+	solving = false;
+	verifying = false;
+	deltatime = oldDT;
+	muted = wasMuted;
+	verbose_logging = was_verbose_logging;
+
+	for (var i = 0; i < failures.length; i++) {
+		var failure = failures[i];
+		var text = failure.outside
+			? "clicks outside the level on move " + (failure.moves + 1)
+			: "no longer wins (" + failure.moves + " moves played)";
+		consolePrint(htmlClass("errorText", "The SOLUTION for " + failure.level.title + " (line " +
+			htmlJump(failure.level.solution.lineNumber) + ") " + text + "."), true);
+	}
+	consolePrint((indices.length - failures.length) + " of " + indices.length + " solutions still win.", true);
+	playSound(failures.length > 0 ? 52291704 : 13219900);
+	redraw();
+}
+
+// play the SOLUTION of level index from its start, quietly. Returns whether it won and the number
+// of moves played, with outside set if it stopped at a click outside the level.
+function replaySolution(index) {
+	var moves = state.levels[index].solution.moves;
+	loadLevelFromState(state, index);
+	winning = false;
+	hasUsedCheckpoint = false;
+	for (var i = 0; i < moves.length; i++) {
+		var input = solverInputFromString(moves[i]);
+		if (input === null) {
+			return { won: false, moves: i, outside: true };
+		}
+		applySolverInput(input);
+		while(againing) {
+			processInput(-1);
+		}
+		if (winning) {
+			return { won: true, moves: i + 1 };
+		}
+	}
+	return { won: false, moves: moves.length };
+}
+
+// run searchLevel() in a worker (solverworker.js) with its own copy of the game, so the editor can
+// be used while it searches. Only the plain options are passed on, with progress sent back to
+// onProgress, and stopSolving() ends the worker. Searches here instead if there can't be a
+// worker, as for pages opened from a file in some browsers.
+function searchLevelInWorker(options) {
+	try {
+		solverWorker = new Worker("js/solverworker.js");
+	} catch (error) {
+		return searchLevel(options);
+	}
+	var startTime = Date.now();
+	var explored = 0;
+	var started = false;
+	return new Promise(function(resolve, reject) {
+		function finish() {
+			solverWorker.terminate();
+			solverWorker = null;
+			stopSolverWorker = null;
+		}
+		solverWorker.onmessage = function(event) {
+			var data = event.data;
+			if (data.type == "started") {
+				started = true;
+				return;
+			}
+			if (data.type == "progress") {
+				explored = data.explored;
+				options.onProgress(data.explored, data.rate);
+				return;
+			}
+			finish();
+			if (data.type == "error") {
+				reject(new Error(data.message));
+			} else {
+				resolve(data.result);
+			}
+		};
+		solverWorker.onerror = function(event) {
+			event.preventDefault();
+			finish();
+			if (started) {
+				reject(new Error(event.message));
+			} else {
+				resolve(searchLevel(options));		// the worker couldn't be loaded
+			}
+		};
+		stopSolverWorker = function() {
+			finish();
+			resolve({ status: "aborted", solution: null, inputs: null, explored: explored, time: Date.now() - startTime });
+		};
+		solverWorker.postMessage({
+			text: compiledText,
+			levelNo: curLevelNo,
+			level: backupLevel(),
+			options: {
+				strategy: options.strategy,
+				beamWidth: options.beamWidth,
+				maxNodes: options.maxNodes,
+				maxTime: options.maxTime,
+				maxMemory: options.maxMemory
+			}
+		});
+	});
+}
+
+// search for a solution to the current level, from its current state, and leave it restarted.
+// options: strategy (a key of solverStrategies, default from the prelude), beamWidth, maxNodes,
+// maxTime (ms) and maxMemory (MB for the positions and queue, default 512) to give up early,
+// onProgress(explored, rate) is called (and awaited) every 250 positions with the positions
+// searched per second, shouldAbort() to stop.
+// Returns status (solved, checkpoint, unsolvable, exhausted, aborted, budget or memory), solution
+// as a string of moves (or null), the same as inputs in inputHistory format, explored positions
+// and elapsed time.
+async function searchLevel(options) {
+	options = options || {};
+	var strategy = options.strategy || state.metadata.solver_strategy || "best";
+	if (!(strategy in solverStrategies)) {
+		throw new Error("Unknown solver strategy \"" + strategy + "\".");
+	}
+	precalcDistances();
+	var wasMuted = muted;
 	muted = true;
 	solving = true;
 	restartTarget = backupLevel();
@@ -33,166 +336,637 @@ async function solve() {
 	backups = [];
 	var oldDT = deltatime;
 	deltatime = 0;
-	var actions = [0, 1, 2, 3, 4];
-	if('noaction' in state.metadata) {
-		actions = [0, 1, 2, 3];
-	}
-	var act2str = "uldrx";
-	var exploredStates = {};
-	exploredStates[curLevel.objects] = true;
-	var queue = new FastPriorityQueue(byScoreAndLength);
-	queue.add([0, curLevel.objects.slice(0), ""]);
-	consolePrint("searching...");
-	var solvingProgress = document.getElementById("solvingProgress");
-	var cancelLink = document.getElementById("cancelClickLink");
-	cancelLink.hidden = false;
-	// console.log("searching...");
-	var iters = 0;
-	var size = 1;
-	var discovered = 1;
 
-	while(!queue.isEmpty()) {
-		if(abortSolver) {
-			consolePrint("solver aborted");
-			cancelLink.hidden = true;
+	var search = new SolverSearch(options, solverStrategies[strategy].entryBytes);
+	var result = await solverStrategies[strategy].search(search);
+	search.table = null;
+
+	winning = false;
+	deltatime = oldDT;
+	solving = false;
+	muted = wasMuted;
+	DoRestart();
+	var inputs = result.solution ? Array.from(result.solution, solverMoveToInput) : null;
+	return {
+		status: result.status,
+		solution: inputs && inputs.map(solverInputToString).join(""),
+		inputs: inputs,
+		explored: search.explored,
+		time: Date.now() - search.startTime
+	};
+}
 
-			verbose_logging = was_verbose_logging;
-			cache_console_messages = was_verbose_logging;
+// state shared by the search strategies: actions to try, budget, positions seen, progress and results.
+// entryBytes is roughly the memory taken by each entry in the strategy's queue of positions to search.
+function SolverSearch(options, entryBytes) {
+	this.options = options;
+	this.maxNodes = options.maxNodes || Infinity;
+	this.maxTime = options.maxTime || Infinity;
+	this.maxMemory = (options.maxMemory || 512) * 1024 * 1024;
+	this.entryBytes = entryBytes || 0;
+	this.beamWidth = Math.max(1, Math.floor(options.beamWidth || state.metadata.solver_beam_width || 1000));
+	this.startTime = Date.now();
+	this.explored = 1;
+	this.iters = 0;
+	this.actions = ('nokeyboard' in state.metadata) ? []
+		: ('noaction' in state.metadata) ? [0, 1, 2, 3] : [0, 1, 2, 3, 4];
+	this.newTable();
 
+	// mouse buttons the game responds to, with the objects worth clicking on (null for anywhere)
+	this.clicks = [];
+	for (var button = 0; button < 2; button++) {
+		var id = getClickId(button);
+		var mask = id >= 0 ? getDropMask(id)
+			: state.metadata.mouse_clicks ? getClickMask(dirMasks[button == 0 ? "lclick" : "rclick"])
+			: undefined;
+		if (mask === null || (mask && !mask.iszero())) {
+			this.clicks.push({ button: button, mask: mask });
+		}
+	}
+}
+
+// start an empty positions table, holding the current position as number 0
+SolverSearch.prototype.newTable = function() {
+	this.table = new SolverStateTable(curLevel.objects.length, this.maxMemory);
+	this.table.add(curLevel.objects, this.table.hash(curLevel.objects), -1, 0, 0);
+	return this.table;
+}
+
+// the moves to try from the current position: keys, waiting in realtime games, then clicks on
+// cells with clickable objects
+SolverSearch.prototype.getMoves = function() {
+	var moves = [];
+	for (var i = 0; i < this.actions.length; i++) {
+		moves.push(act2str[this.actions[i]]);
+	}
+	if (state.metadata.realtime_interval) {
+		moves.push(tickMove);
+	}
+	for (var i = 0; i < this.clicks.length; i++) {
+		var click = this.clicks[i];
+		for (var j = 0; j < curLevel.n_tiles; j++) {
+			if (click.mask === null || click.mask.anyBitsInCommon(curLevel.getCellInto(j, _o10))) {
+				moves.push(String.fromCharCode(0x100 + j * 2 + click.button));
+			}
+		}
+	}
+	return moves;
+}
+
+// positions searched per second so far
+SolverSearch.prototype.getRate = function() {
+	return Math.round(this.explored * 1000 / Math.max(1, Date.now() - this.startTime));
+}
+
+// returns a result if the search should stop now (aborted, over budget or out of memory), else
+// null. queued is the number of entries in the strategy's queue.
+SolverSearch.prototype.check = async function(queued) {
+	if (this.options.shouldAbort && this.options.shouldAbort()) {
+		return { status: "aborted" };
+	}
+	if (this.explored >= this.maxNodes || Date.now() - this.startTime >= this.maxTime) {
+		return { status: "budget" };
+	}
+	if (this.table.isFull() || this.table.bytesNeeded() + (queued || 0) * this.entryBytes > this.maxMemory) {
+		return { status: "memory" };
+	}
+	this.iters++;
+	if (this.iters > 250) {
+		this.iters = 0;
+		if (this.options.onProgress) {
+			await this.options.onProgress(this.explored, this.getRate());
+		}
+	}
+	return null;
+}
+
+// try every action from position n in the table, and return the ones that changed something, in
+// order. Each has the new position and its hash, the move, whether it won and the value of
+// score() for it. Stops after a win.
+SolverSearch.prototype.expand = function(n, score) {
+	var children = [];
+	var parent = this.table.get(n);
+	curLevel.objects.set(parent);
+	var tries = this.getMoves();
+	for (var i = 0; i < tries.length; i++) {
+		curLevel.objects.set(parent);
+		var changedSomething = applySolverInput(solverMoveToInput(tries[i]));
+		while(againing) {
+			changedSomething = processInput(-1) || changedSomething;
+		}
+		if (!changedSomething) {
+			continue;
+		}
+		var won = winning || hasUsedCheckpoint;
+		var objects = curLevel.objects.slice(0);
+		children.push({
+			objects: objects,
+			hash: this.table.hash(objects),
+			move: tries[i].charCodeAt(0),
+			won: won,
+			score: (score && !won) ? score() : 0
+		});
+		if (won) {
 			break;
 		}
-		iters++;
-		if(iters > 250) {
-			iters = 0;
-			// consolePrint("searched: " + size + " queue: " + discovered);
-			// console.log(discovered, size);
-			solvingProgress.innerHTML = "searched: " + size;
-			redraw();
-			await timeout(1);
-		}
-		var temp = queue.poll();
-		var parentState = temp[1];
-		var ms = temp[2];
-		discovered--;
-		shuffleALittle(actions);
-		for(var i = 0, len = actions.length; i < len; i++) {
-			for(var k = 0, len2 = parentState.length; k < len2; k++) {
-				curLevel.objects[k] = parentState[k];
-			}
-			var changedSomething = processInput(actions[i]);
-			while(againing) {
-				changedSomething = processInput(-1) || changedSomething;
-			}
-			
-			if(changedSomething) {
-				if(curLevel.objects in exploredStates) {
-					continue;
-				}
-				var nms = ms + act2str[actions[i]];
-				if(winning || hasUsedCheckpoint) {
-					hasUsedCheckpoint = false;
-					var chunks = "(" + chunkString(nms, 5).join(" ") + ")";
+	}
+	return children;
+}
 
-					verbose_logging = true;
-					cache_console_messages = true;
+// the result for a winning child of position n
+SolverSearch.prototype.solved = function(n, child) {
+	var status = winning ? "solved" : "checkpoint";
+	hasUsedCheckpoint = false;
+	return { status: status, solution: this.table.path(n) + String.fromCharCode(child.move) };
+}
 
-					consolePrint("solution found: (" + nms.length + " steps, " + size + " positions explored)");
-					consolePrint(chunks);
-					console.log("solution found:\n" + chunks);
+// the positions reached by a search, kept in typed arrays rather than as strings so that there
+// can be millions of them. Positions are numbered in the order they were added, and each has the
+// position it was reached from, the move that reached it and its number of moves from the start.
+// They are found by a Zobrist style hash, checked against the whole position, in an open
+// addressing table.
+function SolverStateTable(size, maxBytes) {
+	this.size = size;		// words in a position
+	this.count = 0;
+	this.capacity = 0;
+	this.limit = Math.max(1, Math.floor(maxBytes / (size * 4 + 30)));
 
+	// a random number for each word of a position; each word that isn't empty adds a mix of its
+	// value and its random number to the hash
+	this.zobrist = new Int32Array(size);
+	for (var i = 0; i < size; i++) {
+		this.zobrist[i] = Math.floor(Math.random() * 0x100000000);
+	}
+	this.grow(Math.min(1024, this.limit));
+}
 
-					var step_limit = 200;
-					if (nms.length >= step_limit) {
-						consolePrint("More than "+step_limit + " steps needed to solve puzzle, not printing individual states");
-					} else {
+// make room for capacity positions, and rebuild the hash table to be at most half full
+SolverStateTable.prototype.grow = function(capacity) {
+	function resize(array, type, length) {
+		var result = new type(length);
+		if (array) {
+			result.set(array.subarray(0, Math.min(array.length, length)));
+		}
+		return result;
+	}
+	this.positions = resize(this.positions, Int32Array, capacity * this.size);
+	this.hashes = resize(this.hashes, Int32Array, capacity);
+	this.parents = resize(this.parents, Int32Array, capacity);
+	this.moves = resize(this.moves, Uint16Array, capacity);
+	this.depths = resize(this.depths, Int32Array, capacity);
+	this.capacity = capacity;
 
-						winning = false;
-						verbose_logging = false;
-						//Reload starting state
-						DoRestart();
+	var slots = 1;
+	while (slots < capacity * 2) {
+		slots *= 2;
+	}
+	this.slots = new Int32Array(slots);		// position number + 1, or 0 for empty
+	this.mask = slots - 1;
+	for (var n = 0; n < this.count; n++) {
+		this.insert(n);
+	}
+}
 
-						addToDebugTimeline(curLevel, 0);
+SolverStateTable.prototype.hash = function(objects) {
+	var hash = 0;
+	for (var i = 0; i < this.size; i++) {
+		if (objects[i] !== 0) {
+			var h = Math.imul(objects[i] ^ this.zobrist[i], 0x9e3779b1);
+			h = Math.imul(h ^ (h >>> 15), 0x85ebca77);
+			hash ^= h ^ (h >>> 13);
+		}
+	}
+	return hash;
+}
 
-						for(var i = 0; i != nms.length; i++) {
+// true if the memory limit has been reached
+SolverStateTable.prototype.isFull = function() {
+	return this.count >= this.limit;
+}
 
-							var char = nms[i];
+// bytes used by the arrays of a table with room for capacity positions
+SolverStateTable.prototype.bytes = function(capacity) {
+	var slots = 1;
+	while (slots < capacity * 2) {
+		slots *= 2;
+	}
+	return capacity * (this.size * 4 + 14) + slots * 4;
+}
 
-							var action = -1;
+// the capacity to grow to when the table is full
+SolverStateTable.prototype.nextCapacity = function() {
+	return Math.max(Math.min(this.capacity * 2, this.limit), this.count + 256);
+}
 
-							for (j=0; j != act2str.length; j++) {
-								if (char == act2str[j]) {
-									action = j; break;
-								}
-							}
+// bytes needed to add another position: when the table is full, it is copied into bigger arrays,
+// and the old ones are only freed after the copy
+SolverStateTable.prototype.bytesNeeded = function() {
+	var bytes = this.bytes(this.capacity);
+	if (this.count == this.capacity) {
+		bytes += this.bytes(this.nextCapacity());
+	}
+	return bytes;
+}
 
-							verbose_logging = false;
+// position n, as a view that is only good until the next add()
+SolverStateTable.prototype.get = function(n) {
+	return this.positions.subarray(n * this.size, (n + 1) * this.size);
+}
 
-							var again_turns = 0;
-							processInput(action);
-							while(againing) {
-								processInput(-1);
-								again_turns++;
-							}
-							verbose_logging = true;
+// the number of the position matching objects, or -1 if it isn't there
+SolverStateTable.prototype.find = function(objects, hash) {
+	for (var slot = hash & this.mask; this.slots[slot] != 0; slot = (slot + 1) & this.mask) {
+		var n = this.slots[slot] - 1;
+		if (this.hashes[n] == hash && this.matches(n, objects)) {
+			return n;
+		}
+	}
+	return -1;
+}
+
+SolverStateTable.prototype.matches = function(n, objects) {
+	var offset = n * this.size;
+	for (var i = 0; i < this.size; i++) {
+		if (this.positions[offset + i] !== objects[i]) {
+			return false;
+		}
+	}
+	return true;
+}
 
-							var turn_id = addToDebugTimeline(curLevel, i+2);
+// add a position that isn't in the table yet, reached from parent by move, returning its number
+SolverStateTable.prototype.add = function(objects, hash, parent, move, depth) {
+	if (this.count == this.capacity) {
+		this.grow(this.nextCapacity());
+	}
+	var n = this.count++;
+	this.positions.set(objects, n * this.size);
+	this.hashes[n] = hash;
+	this.setParent(n, parent, move, depth);
+	this.insert(n);
+	return n;
+}
 
-							var txt = "Turn "+(i+1)+", input "+char;
-							if (again_turns >= 1) {
-								txt += " (again turns: "+again_turns+")";
-							}
-							consolePrint(txt, false, null, turn_id);
-						}
-					}			
+SolverStateTable.prototype.insert = function(n) {
+	var slot = this.hashes[n] & this.mask;
+	while (this.slots[slot] != 0) {
+		slot = (slot + 1) & this.mask;
+	}
+	this.slots[slot] = n + 1;
+}
+
+// record how position n was reached, when it is added or a shorter route to it is found
+SolverStateTable.prototype.setParent = function(n, parent, move, depth) {
+	this.parents[n] = parent;
+	this.moves[n] = move;
+	this.depths[n] = depth;
+}
+
+// the moves from the start to position n, as a string
+SolverStateTable.prototype.path = function(n) {
+	var path = "";
+	for (; this.parents[n] >= 0; n = this.parents[n]) {
+		path = String.fromCharCode(this.moves[n]) + path;
+	}
+	return path;
+}
+
+// the ways to search, by the name used in the prelude (solver_strategy) and the editor
+var solverStrategies = {
+	// best first by getScore(), the original solver: fast, but solutions may not be the shortest
+	best: {
+		name: "Best first",
+		entryBytes: 64,
+		search: async function(search) {
+			var table = search.table;
+			// entries are [score, position, moves]
+			var queue = new FastPriorityQueue(byScoreAndLength);
+			queue.add([0, 0, 0]);
+			while(!queue.isEmpty()) {
+				var stop = await search.check(queue.size);
+				if (stop) return stop;
+				var temp = queue.poll();
+				shuffleALittle(search.actions);
+				var children = search.expand(temp[1], getScore);
+				for (var i = 0; i < children.length; i++) {
+					var child = children[i];
+					if (table.find(child.objects, child.hash) >= 0) {
+						continue;
+					}
+					if (child.won) {
+						return search.solved(temp[1], child);
+					}
+					var n = table.add(child.objects, child.hash, temp[1], child.move, temp[2] + 1);
+					search.explored++;
+					queue.add([child.score, n, temp[2] + 1]);
+				}
+			}
+			return { status: "unsolvable" };
+		}
+	},
 
-					solvingProgress.innerHTML = "";
-					deltatime = oldDT;
-					DoRestart();
+	// breadth first: always finds the shortest solution, but explores every shorter position first
+	bfs: {
+		name: "Breadth first",
+		entryBytes: 0,
+		search: async function(search) {
+			// positions are added in the order they are reached, so the table is the queue
+			var table = search.table;
+			for (var head = 0; head < table.count; head++) {
+				var stop = await search.check();
+				if (stop) return stop;
+				var children = search.expand(head);
+				for (var i = 0; i < children.length; i++) {
+					var child = children[i];
+					if (table.find(child.objects, child.hash) >= 0) {
+						continue;
+					}
+					if (child.won) {
+						return search.solved(head, child);
+					}
+					table.add(child.objects, child.hash, head, child.move, table.depths[head] + 1);
+					search.explored++;
+				}
+			}
+			return { status: "unsolvable" };
+		}
+	},
 
-					cache_console_messages = was_verbose_logging;
-					verbose_logging = was_verbose_logging;
+	// A* using getLowerBound(): explores fewer positions than breadth first. The solution is only
+	// sure to be the shortest if the bound never overestimates, which rules can break (see there).
+	astar: {
+		name: "A*",
+		entryBytes: 80,
+		search: async function(search) {
+			var table = search.table;
+			// entries are [moves + bound, bound, position, moves, won]
+			var queue = new FastPriorityQueue(function(a, b) {
+				return a[0] != b[0] ? a[0] < b[0] : a[1] < b[1];
+			});
+			queue.add([0, 0, 0, 0, false]);
+			while(!queue.isEmpty()) {
+				var stop = await search.check(queue.size);
+				if (stop) return stop;
+				var temp = queue.poll();
+				if (temp[4]) {
+					return { status: "solved", solution: table.path(temp[2]) };
+				}
+				if (table.depths[temp[2]] < temp[3]) {
+					continue;		// already reached by a shorter route
+				}
+				var moves = temp[3] + 1;
+				var children = search.expand(temp[2], getLowerBound);
+				for (var i = 0; i < children.length; i++) {
+					var child = children[i];
+					if (child.won && !winning) {
+						return search.solved(temp[2], child);		// checkpoint
+					}
+					var n = table.find(child.objects, child.hash);
+					if (n < 0) {
+						n = table.add(child.objects, child.hash, temp[2], child.move, moves);
+					} else if (table.depths[n] <= moves) {
+						continue;
+					} else {
+						table.setParent(n, temp[2], child.move, moves);
+					}
+					search.explored++;
+					queue.add([moves + child.score, child.score, n, moves, child.won]);
+				}
+				winning = false;
+			}
+			return { status: "unsolvable" };
+		}
+	},
 
-					solving = false;
-					muted = false;
+	// iterative deepening A*: finds the same solutions as A*, with the same caveat, but only
+	// remembers the positions on the current bound
+	idastar: {
+		name: "IDA*",
+		entryBytes: 8,
+		search: async function(search) {
+			var start = curLevel.objects.slice(0);
+			var bound = getLowerBound();
+			while (true) {
+				var nextBound = Infinity;
+				curLevel.objects.set(start);
+				var table = search.newTable();
+				var stack = [0];
+				while (stack.length > 0) {
+					var stop = await search.check(stack.length);
+					if (stop) return stop;
+					var parent = stack.pop();
+					var moves = table.depths[parent] + 1;
+					var children = search.expand(parent, getLowerBound);
+					for (var i = children.length - 1; i >= 0; i--) {
+						var child = children[i];
+						var cost = moves + child.score;
+						if (cost > bound) {
+							nextBound = Math.min(nextBound, cost);
+							continue;
+						}
+						if (child.won) {
+							return search.solved(parent, child);
+						}
+						var n = table.find(child.objects, child.hash);
+						if (n < 0) {
+							n = table.add(child.objects, child.hash, parent, child.move, moves);
+						} else if (table.depths[n] <= moves) {
+							continue;
+						} else {
+							table.setParent(n, parent, child.move, moves);
+						}
+						search.explored++;
+						stack.push(n);
+					}
 					winning = false;
-					playSound(13219900);
+				}
+				if (nextBound == Infinity) {
+					return { status: "unsolvable" };
+				}
+				bound = nextBound;
+			}
+		}
+	},
 
-					redraw();
-					cancelLink.hidden = true;
-					return;
+	// beam search: keeps only the best beamWidth positions by getScore() at each depth, so it
+	// copes with big levels but can miss solutions
+	beam: {
+		name: "Beam",
+		entryBytes: 56,
+		search: async function(search) {
+			var table = search.table;
+			var layer = [0];
+			while (layer.length > 0) {
+				// entries are [score, position]
+				var nextLayer = [];
+				for (var j = 0; j < layer.length; j++) {
+					var stop = await search.check(layer.length + nextLayer.length);
+					if (stop) return stop;
+					var children = search.expand(layer[j], getScore);
+					for (var i = 0; i < children.length; i++) {
+						var child = children[i];
+						if (table.find(child.objects, child.hash) >= 0) {
+							continue;
+						}
+						if (child.won) {
+							return search.solved(layer[j], child);
+						}
+						var n = table.add(child.objects, child.hash, layer[j], child.move, table.depths[layer[j]] + 1);
+						search.explored++;
+						nextLayer.push([child.score, n]);
+					}
 				}
-				exploredStates[curLevel.objects] = true;
-				size++;
-				queue.add([getScore(), curLevel.objects.slice(0), nms]);
-				discovered++;
+				nextLayer.sort(function(a, b) { return a[0] - b[0]; });
+				layer = nextLayer.slice(0, search.beamWidth).map(function(entry) { return entry[1]; });
 			}
+			return { status: "exhausted" };
 		}
 	}
-	muted = false;
-	solving = false;
-	DoRestart();
-	consolePrint("no solution found (" + size + " positions explored)");
-	console.log("no solution found");
+};
 
-	verbose_logging = was_verbose_logging;
-	cache_console_messages = was_verbose_logging;
+function stopSolving() {
+	abortSolver = true;
+	if (stopSolverWorker) {
+		stopSolverWorker();
+	}
+}
 
-	solvingProgress.innerHTML = "";
-	deltatime = oldDT;
-	playSound(52291704);
-	redraw();
-	cancelLink.hidden = true;
+function chunkList(list, length) {
+	var chunks = [];
+	for (var i = 0; i < list.length; i += length) {
+		chunks.push(list.slice(i, i + length));
+	}
+	return chunks;
 }
 
-function stopSolving() {
-	abortSolver = true;
+// the object dropped by a mouse button (0 left, 1 right), or -1/-2 for lclick/rclick, as in mouseInput()
+function getClickId(button) {
+	if (button == 0) {
+		return ('mouse_left' in state.metadata) ? state.lmbID : -1;
+	}
+	return ('mouse_right' in state.metadata) ? state.rmbID : -2;
+}
+
+// convert a solver move to an input in inputHistory format: a direction, "tick", or "mouse,id,coordIndex"
+function solverMoveToInput(move) {
+	if (move == tickMove) {
+		return "tick";
+	}
+	var code = move.charCodeAt(0) - 0x100;
+	if (code < 0) {
+		return act2str.indexOf(move);
+	}
+	return "mouse," + getClickId(code & 1) + "," + (code >> 1);
 }
 
-function chunkString(str, length) {
-	return str.match(new RegExp('.{1,' + length + '}', 'g'));
+// show an input as a solver move: a key from act2str, t for a tick, or L(x,y) or R(x,y) for a
+// click, from 0,0 at top left
+function solverInputToString(input) {
+	if (typeof input == "number") {
+		return act2str[input];
+	}
+	if (input == "tick") {
+		return tickMove;
+	}
+	var args = input.split(",");
+	var coord = +args[2];
+	var button = (args[1] == -1 || args[1] == state.lmbID) ? "L" : "R";
+	return button + "(" + Math.floor(coord / curLevel.height) + "," + (coord % curLevel.height) + ")";
+}
+
+// the input for a move as shown by solverInputToString(), or null for a click outside the level
+function solverInputFromString(move) {
+	var key = act2str.indexOf(move);
+	if (key >= 0) {
+		return key;
+	}
+	if (move == tickMove) {
+		return "tick";
+	}
+	var args = move.match(/\d+/g).map(Number);
+	if (args[0] >= curLevel.width || args[1] >= curLevel.height) {
+		return null;
+	}
+	return "mouse," + getClickId(move[0] == "L" ? 0 : 1) + "," + (args[0] * curLevel.height + args[1]);
+}
+
+// apply one input of a solution, returning true if anything changed
+function applySolverInput(input) {
+	if (typeof input == "number") {
+		return processInput(input);
+	}
+	if (input == "tick") {
+		return processInput(-1);
+	}
+	var args = input.split(",");
+	return mouseInput(+args[1], +args[2]);
+}
+
+// objects that rules expect to see clicked with the movement in dirMask (lclick or rclick)
+function getClickMask(dirMask) {
+	var mask = new BitVec(STRIDE_OBJ);
+	forEachCellPattern(function(cellPattern) {
+		for (var layer = 0; layer < state.collisionLayers.length; layer++) {
+			if (cellPattern.movementsPresent.getshiftor(MOV_MASK, MOV_BITS * layer) & dirMask) {
+				var layerMask = state.layerMasks[layer];
+				var objects = cellPattern.objectsPresent.clone();
+				objects.iand(layerMask);
+				mask.ior(objects);
+				for (var i = 0; i < cellPattern.anyObjectsPresent.length; i++) {
+					objects = cellPattern.anyObjectsPresent[i].clone();
+					objects.iand(layerMask);
+					mask.ior(objects);
+				}
+			}
+		}
+	});
+	return mask;
+}
+
+// objects that rules expect to find with a dropped mouse object, or null if it could matter anywhere
+function getDropMask(id) {
+	var mask = new BitVec(STRIDE_OBJ);
+	var found = false;
+	var anywhere = false;
+	forEachCellPattern(function(cellPattern) {
+		if (!cellPattern.objectsPresent.get(id)) {
+			return;
+		}
+		found = true;
+		var objects = cellPattern.objectsPresent.clone();
+		objects.ibitclear(id);
+		for (var i = 0; i < cellPattern.anyObjectsPresent.length; i++) {
+			objects.ior(cellPattern.anyObjectsPresent[i]);
+		}
+		if (objects.iszero()) {
+			anywhere = true;
+		}
+		mask.ior(objects);
+	});
+	return (anywhere || !found) ? null : mask;
+}
+
+// call back with every cell pattern on the left of every rule
+function forEachCellPattern(callback) {
+	var groups = state.rules.concat(state.lateRules);
+	for (var g = 0; g < groups.length; g++) {
+		for (var r = 0; r < groups[g].length; r++) {
+			var patterns = groups[g][r].patterns;
+			for (var p = 0; p < patterns.length; p++) {
+				for (var c = 0; c < patterns[p].length; c++) {
+					if (patterns[p][c] !== ellipsisPattern) {
+						callback(patterns[p][c]);
+					}
+				}
+			}
+		}
+	}
 }
 
 function shuffleALittle(array) {
+	if (array.length < 2) {
+		return;		// nokeyboard
+	}
 	randomIndex = 1 + Math.floor(Math.random() * (array.length - 1));
 	temporaryValue = array[0];
 	array[0] = array[randomIndex];
@@ -253,3 +1027,45 @@ function getScore() {
 	return score;
 }
 
+// the fewest moves that could win from here, assuming objects move at most one cell per turn and
+// the things they have to end up on stay put. Used by A* and IDA*, which only find the shortest
+// solution if this never overestimates. Rules can break the assumption, by moving objects more
+// than one cell in a turn (sliding, teleporting, again) or moving the targets, and then A* and
+// IDA* may return a solution that is longer than the shortest. Only breadth first is sure to
+// find the shortest.
+function getLowerBound() {
+	var bound = 1;		// never called on a winning position
+	var maxDistance = curLevel.width + curLevel.height;
+	for(var wcIndex=0;wcIndex<state.winconditions.length;wcIndex++) {
+		var wincondition = state.winconditions[wcIndex];
+		var filter1 = wincondition[1];
+		var filter2 = wincondition[2];
+		if(wincondition[0] == -1) {
+			// "no" conditions need at least one move, already counted
+			continue;
+		}
+		// "some" needs the closest one to arrive, "all" needs the furthest
+		var needed = wincondition[0] == 0 ? maxDistance : 0;
+		var found = false;
+		for(var i = 0; i < curLevel.n_tiles; i++) {
+			if(filter1.bitsClearInArray(curLevel.getCellInto(i, _o10).data)) {
+				continue;
+			}
+			var minDistance = maxDistance;
+			for (var j = 0; j < curLevel.n_tiles; j++) {
+				if(!filter2.bitsClearInArray(curLevel.getCellInto(j, _o10).data)) {
+					minDistance = Math.min(minDistance, distanceTable[i][j]);
+				}
+			}
+			if (minDistance == maxDistance) {
+				continue;		// nowhere to go yet, so it may be made later
+			}
+			found = true;
+			needed = wincondition[0] == 0 ? Math.min(needed, minDistance) : Math.max(needed, minDistance);
+		}
+		if (found) {
+			bound = Math.max(bound, needed);
+		}
+	}
+	return bound;
+}
@@ -0,0 +1,72 @@
+// Runs the solver in a Web Worker, so the editor can be used while it searches.
+// The page (searchLevelInWorker() in solver.js) posts the game source, the level and its current
+// position, and the search options. The worker compiles its own copy of the game, then posts
+// back "progress" messages and a "done" message with the result of searchLevel(), or "error".
+// compile.js bundles the engine scripts after this file, so they are only loaded here when
+// running from src.
+
+// the parts of the browser, graphics.js and console.js that the engine expects
+self.window = self;
+self.document = Object.assign(new EventTarget(), {
+	URL: "solver",
+	body: new EventTarget(),
+	getElementById: function() { return null; },
+	getElementsByTagName: function() { return []; },
+	createElement: function() { return { innerHTML: "", textContent: "" }; },
+});
+self.localStorage = {
+	getItem: function() { return null; },
+	setItem: function() {},
+	removeItem: function() {},
+};
+self.canvas = null;
+self.lastDownTarget = null;
+self.forceRegenImages = false;
+self.canvasResize = function() {};
+self.redraw = function() {};
+self.regenText = function() {};
+self.regenSpriteImages = function() {};
+self.addToDebugTimeline = function() {};
+
+if (typeof compile === "undefined") {
+	importScripts(
+		"storagewrapper.js",
+		"globalVariables.js",
+		"debug_off.js",
+		"font.js",
+		"rng.js",
+		"riffwave.js",
+		"sfxr.js",
+		"codemirror/stringstream.js",
+		"colors.js",
+		"engine.js",
+		"parser.js",
+		"compiler.js",
+		"solver.js",
+		"FastPriorityQueue.js");
+}
+
+self.onmessage = async function(event) {
+	var data = event.data;
+	try {
+		// fonts and images are only needed for display
+		tryLoadCustomFont = function() {};
+		tryLoadImages = function() {};
+
+		if (!compile(["loadLevel", data.levelNo], data.text)) {
+			throw new Error("the game did not compile");
+		}
+		restoreLevel(data.level, true);
+
+		var options = data.options;
+		options.onProgress = function(explored, rate) {
+			self.postMessage({ type: "progress", explored: explored, rate: rate });
+		};
+		var result = await searchLevel(options);
+		self.postMessage({ type: "done", result: result });
+	} catch (error) {
+		self.postMessage({ type: "error", message: error.message });
+	}
+}
+
+self.postMessage({ type: "started" });
@@ -0,0 +1,125 @@
+// The debugger timeline: steps through the snapshots that verbose logging (or a breakpoint, see
+// breakpoints.js) records in addToDebugTimeline(), in the order they were taken, showing each one
+// in the game as hovering over its line in the console does, and marking the rule that made it in
+// the source. A rule that applies more than once in a turn keeps only its last snapshot.
+
+var timeline = null;		// the timeline being shown: { frames, position, mark }
+
+// the snapshots as { turnIndex, lineNumber, frameIndex }, oldest first. The one before movements
+// (-2) is only kept to show what changed, so it is left out.
+function getTimelineFrames() {
+	var snapshots = [];
+	debug_visualisation_array.forEach(function(turn) {
+		Object.keys(turn).forEach(function(key) {
+			if (key != -2) {
+				snapshots.push(turn[key]);
+			}
+		});
+	});
+	snapshots.sort((a, b) => a.frameIndex - b.frameIndex);
+	return snapshots.map(snapshot => ({ turnIndex: snapshot.turnIndex, lineNumber: snapshot.lineNumber, frameIndex: snapshot.frameIndex }));
+}
+
+// the source lines of rules, so that other snapshots (turn ends, solver steps) are not marked
+function getRuleLineNumbers() {
+	var lineNumbers = new Set();
+	if (state !== undefined) {
+		state.rules.concat(state.lateRules).forEach(group => group.forEach(rule => lineNumbers.add(rule.lineNumber)));
+	}
+	return lineNumbers;
+}
+
+function isTimelineOpen() {
+	return timeline !== null;
+}
+
+// open the timeline at the snapshot numbered frameIndex, or at the last one
+function openTimeline(frameIndex) {
+	var frames = getTimelineFrames();
+	if (frames.length === 0) {
+		consoleError("There is nothing on the timeline yet. Run the game with <a href=\"Documentation/prelude.html#verbose_logging\" target=\"Puzzle_Script_Documentation\">verbose_logging</a> in the prelude, or set a breakpoint, and play a turn first.");
+		return;
+	}
+	closeTimeline();
+	timeline = { frames: frames, position: frames.length - 1, mark: null };
+	document.getElementById("timelineControls").hidden = false;
+	if (frameIndex === undefined) {
+		seekTimeline(timeline.position);
+	} else {
+		seekTimelineFrame(frameIndex);
+	}
+}
+
+function closeTimeline() {
+	if (timeline === null) {
+		return;
+	}
+	unmarkTimelineLine();
+	timeline = null;
+	document.getElementById("timelineControls").hidden = true;
+	debugUnpreview();
+}
+
+function unmarkTimelineLine() {
+	if (timeline.mark !== null) {
+		editor.removeLineClass(timeline.mark, "background", "timelineLine");
+		timeline.mark = null;
+	}
+}
+
+// show the snapshot at position n, and mark the line of the rule that made it
+function seekTimeline(n) {
+	// pick up turns played since the timeline was opened
+	timeline.frames = getTimelineFrames();
+	var frames = timeline.frames;
+	if (frames.length === 0) {
+		closeTimeline();
+		return;
+	}
+	n = Math.max(0, Math.min(n, frames.length - 1));
+	timeline.position = n;
+	var frame = frames[n];
+	debugPreview(frame.turnIndex, frame.lineNumber);
+
+	unmarkTimelineLine();
+	var isRule = getRuleLineNumbers().has(frame.lineNumber);
+	if (isRule && frame.lineNumber <= editor.lineCount()) {
+		timeline.mark = editor.addLineClass(frame.lineNumber - 1, "background", "timelineLine");
+		editor.scrollIntoView({ line: frame.lineNumber - 1, ch: 0 }, 50);
+	}
+	updateTimelineControls(frame, isRule);
+}
+
+function seekTimelineFrame(frameIndex) {
+	var position = getTimelineFrames().findIndex(frame => frame.frameIndex >= frameIndex);
+	seekTimeline(position < 0 ? Infinity : position);
+}
+
+function updateTimelineControls(frame, isRule) {
+	var slider = document.getElementById("timelineSlider");
+	slider.max = timeline.frames.length - 1;
+	slider.value = timeline.position;
+	var where = frame.lineNumber === -1 ? "start" : isRule ? "line " + frame.lineNumber : "end";
+	if (breakpointHits.includes(frame.frameIndex)) {
+		where += ", breakpoint";
+	}
+	document.getElementById("timelinePosition").textContent =
+		(timeline.position + 1) + " / " + timeline.frames.length + ", turn " + frame.turnIndex + " " + where;
+}
+
+function timelineBackClick() {
+	seekTimeline(timeline.position - 1);
+}
+
+function timelineStepClick() {
+	seekTimeline(timeline.position + 1);
+}
+
+function timelineSliderInput() {
+	seekTimeline(+document.getElementById("timelineSlider").value);
+}
+
+document.getElementById("timelineBackClickLink").addEventListener("click", timelineBackClick, false);
+document.getElementById("timelineStepClickLink").addEventListener("click", timelineStepClick, false);
+document.getElementById("timelineSlider").addEventListener("input", timelineSliderInput, false);
+document.getElementById("timelineCloseClickLink").addEventListener("click", closeTimeline, false);
@@ -5,11 +5,39 @@
 maximumsavedprojects = 50;
 
 function solveClick() {
-	if (confirm("Use the solver? It can be slow & crash on big levels, so please save beforehand. Doesn't work for mouse controlled games.")) {
+	if (confirm("Use the solver? It can be slow & crash on big levels, so please save beforehand.")) {
 		solve();
 	}
 }
 
+function verifyClick() {
+	verifySolutions();
+}
+
+function saveReplayClick() {
+	saveReplay();
+}
+
+function loadReplayClick() {
+	loadReplay();
+}
+
+function timelineClick() {
+	openTimeline();
+}
+
+function watchClick() {
+	toggleWatchPanel();
+}
+
+function coverageClick() {
+	toggleCoverage();
+}
+
+function profileClick() {
+	toggleProfile();
+}
+
 function runClick() {
 	clearConsole();
 	compile(["restart"]);
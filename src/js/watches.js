@@ -0,0 +1,120 @@
+// Watches: the WATCH panel above the console shows, as you play, how many cells hold an object or
+// property (or all of an aggregate), or what is in a cell given as x,y counting from 1 at the top
+// left. Values are worked out again on each redraw, and with verbose_logging on, changes are also
+// printed to the console, so they can be read alongside the rules that made them.
+
+var watchValues = [];		// the last value shown for each of watches, to see what changed
+
+function escapeWatchText(text) {
+	return text.replace(/[&<>"'\/]/g, ch => htmlEntityMap[ch]);
+}
+
+// the number of cells holding the named object, property or aggregate, or what is in the cell at x,y
+function evaluateWatch(text) {
+	if (state === undefined || curLevel === undefined || textMode) {
+		return "-";
+	}
+	var cellMatch = /^(\d+)\s*[,;]\s*(\d+)$/.exec(text);
+	if (cellMatch !== null) {
+		var x = +cellMatch[1] - 1;
+		var y = +cellMatch[2] - 1;
+		if (x < 0 || y < 0 || x >= curLevel.width || y >= curLevel.height) {
+			return "not in the level";
+		}
+		var cellMask = curLevel.getCell(x * curLevel.height + y);
+		var names = [];
+		for (var bit = 0; bit < 32 * STRIDE_OBJ; bit++) {
+			if (cellMask.get(bit)) {
+				names.push(state.idDict[bit]);
+			}
+		}
+		return names.length > 0 ? names.join(" ") : "empty";
+	}
+	var name = text.toLowerCase();
+	var mask, matches;
+	if (name in state.objectMasks) {
+		mask = state.objectMasks[name];
+		matches = data => !mask.bitsClearInArray(data);
+	} else if (name in state.aggregateMasks) {
+		mask = state.aggregateMasks[name];
+		matches = data => mask.bitsSetInArray(data);
+	} else {
+		return "not an object or property";
+	}
+	var count = 0;
+	for (var i = 0; i < curLevel.n_tiles; i++) {
+		if (matches(curLevel.getCell(i).data)) {
+			count++;
+		}
+	}
+	return String(count);
+}
+
+function addWatch(text) {
+	text = text.trim().replace(/\s+/g, " ");
+	if (text === "" || watches.includes(text)) {
+		return;
+	}
+	watches.push(text);
+	watchValues.push(evaluateWatch(text));
+	showWatches();
+}
+
+function removeWatch(index) {
+	watches.splice(index, 1);
+	watchValues.splice(index, 1);
+	showWatches();
+}
+
+function showWatches() {
+	var table = document.getElementById("watchTable");
+	table.innerHTML = "";
+	watches.forEach(function(text, index) {
+		var row = table.insertRow();
+		row.insertCell().textContent = text;
+		row.insertCell().textContent = watchValues[index];
+		var remove = document.createElement("a");
+		remove.href = "javascript:void('Remove Watch');";
+		remove.title = "Stop watching " + text;
+		remove.textContent = "x";
+		remove.addEventListener("click", () => removeWatch(index), false);
+		row.insertCell().appendChild(remove);
+	});
+}
+
+// called from redraw(), while there are watches
+function updateWatches() {
+	if (solving) {
+		return;
+	}
+	var changed = false;
+	watches.forEach(function(text, index) {
+		var value = evaluateWatch(text);
+		if (value === watchValues[index]) {
+			return;
+		}
+		if (verbose_logging && value !== "-" && watchValues[index] !== "-") {
+			consolePrint("Watch " + escapeWatchText(text) + " changed from " + escapeWatchText(watchValues[index]) + " to " + escapeWatchText(value) + ".", true);
+		}
+		watchValues[index] = value;
+		changed = true;
+	});
+	if (changed) {
+		showWatches();
+	}
+}
+
+function toggleWatchPanel() {
+	var panel = document.getElementById("watchPanel");
+	panel.hidden = !panel.hidden;
+	if (!panel.hidden) {
+		document.getElementById("watchInput").focus();
+	}
+}
+
+document.getElementById("watchInput").addEventListener("keydown", function(event) {
+	if (event.key === "Enter") {
+		addWatch(event.target.value);
+		event.target.value = "";
+	}
+}, false);
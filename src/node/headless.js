@@ -0,0 +1,420 @@
+// Headless runtime for PuzzleScript Next
+//
+// Loads the engine, parser and compiler into this Node process, with just enough of a
+// browser environment to compile and play games without a DOM. Use it like this:
+//
+//   const { Game } = require('./src/node/headless.js');
+//   const game = new Game(fs.readFileSync('sokoban.txt', 'utf8'), { level: 0 });
+//   const step = game.input('right');     // { changed, won, messages, sounds }
+//   game.undo();
+//   console.log(game.getState().level);
+//
+// The engine keeps all of its state in globals, so there is only one engine per process
+// and only the most recently created Game can be played.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const srcDir = path.join(__dirname, '..');
+
+// the engine and this runtime use EventTarget and Array.prototype.at, from Node 16.6 on
+const [nodeMajor, nodeMinor] = process.versions.node.split('.').map(Number);
+if (nodeMajor < 16 || (nodeMajor === 16 && nodeMinor < 6))
+	throw new Error(`The headless runtime needs Node 16.6 or later, but this is Node ${process.versions.node}.`);
+
+// scripts that make up the engine, in the same order as tests/tests.html, then the solver
+const engineScripts = [
+	'js/storagewrapper.js',
+	'js/globalVariables.js',
+	'js/debug.js',
+	'js/font.js',
+	'js/rng.js',
+	'js/riffwave.js',
+	'js/sfxr.js',
+	'js/codemirror/stringstream.js',
+	'js/colors.js',
+	'js/engine.js',
+	'js/parser.js',
+	'js/compiler.js',
+	'js/solver.js',
+	'js/FastPriorityQueue.js',
+];
+
+const htmlEntities = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+let engineLoaded = false;
+let activeGame = null;
+let consoleLines = [];		// console panel output, as plain text
+let stepSounds = [];		// sound seeds played during the current step
+let stepWins = 0;			// levels won during the current step
+
+// return the text content of an HTML fragment, as the browser would
+function stripHTML(html) {
+	return String(html)
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<[^>]*>/g, '')
+		.replace(/&(lt|gt|amp|quot|#39|nbsp);/g, e => htmlEntities[e]);
+}
+
+// just enough of an element to support stripHTMLTags()
+function createElement(tagName) {
+	return {
+		tagName: tagName.toUpperCase(),
+		innerHTML: '',
+		get textContent() { return stripHTML(this.innerHTML); },
+		get innerText() { return this.textContent; },
+	};
+}
+
+// the engine dispatches psplusLevelLoaded, psplusLevelRestarted and psplusLevelWon, but Node
+// only has CustomEvent from version 19 on
+function provideCustomEvent() {
+	if (typeof CustomEvent !== 'undefined')
+		return;
+	globalThis.CustomEvent = class CustomEvent extends Event {
+		constructor(type, options = {}) {
+			super(type, options);
+			this.detail = options.detail === undefined ? null : options.detail;
+		}
+	};
+}
+
+// provide the globals that the engine expects from the browser, graphics.js and console.js
+function setupEnvironment() {
+	const storage = new Map();
+
+	globalThis.window = globalThis;
+	provideCustomEvent();
+	globalThis.document = Object.assign(new EventTarget(), {
+		URL: 'headless',
+		body: new EventTarget(),
+		getElementById: () => null,
+		getElementsByTagName: () => [],
+		createElement: createElement,
+	});
+	globalThis.localStorage = {
+		getItem: key => storage.has(key) ? storage.get(key) : null,
+		setItem: (key, value) => storage.set(key, String(value)),
+		removeItem: key => storage.delete(key),
+		clear: () => storage.clear(),
+	};
+
+	// display
+	globalThis.canvas = null;
+	globalThis.lastDownTarget = null;
+	globalThis.forceRegenImages = false;
+	globalThis.canvasResize = () => {};
+	globalThis.redraw = () => {};
+	globalThis.regenText = () => {};
+	globalThis.regenSpriteImages = () => {};
+
+	// console panel
+	globalThis.consolePrint = text => consoleLines.push(stripHTML(text));
+	globalThis.consolePrintFromRule = (text, rule) => consoleLines.push(`Rule ${rule.lineNumber}: ${stripHTML(text)}`);
+	globalThis.consoleError = text => consoleLines.push(stripHTML(text));
+	globalThis.consoleCacheDump = () => {};
+	globalThis.addToDebugTimeline = () => {};
+
+	document.addEventListener('psplusLevelWon', () => stepWins++);
+}
+
+// load the engine scripts into this process, once only
+function loadEngine() {
+	if (engineLoaded)
+		return;
+	setupEnvironment();
+	for (const script of engineScripts) {
+		const filename = path.join(srcDir, script);
+		vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+	}
+
+	// fonts and images are only needed for display
+	globalThis.tryLoadCustomFont = () => {};
+	globalThis.tryLoadImages = () => {};
+
+	// record sounds per step as well as in soundHistory
+	const pushSound = pushSoundToHistory;
+	globalThis.pushSoundToHistory = seed => {
+		stepSounds.push(seed);
+		pushSound(seed);
+	};
+	unitTesting = true;
+	muted = 1;		// there is no audio: sounds are only recorded, even when unitTesting is off
+	engineLoaded = true;
+}
+
+// run engine code with its debugging output to the Node console suppressed; if it returns a
+// promise, until that settles
+function runQuietly(fn) {
+	const log = console.log;
+	const restore = () => { console.log = log; };
+	console.log = () => {};
+	let result;
+	try {
+		result = fn();
+	} catch (error) {
+		restore();
+		throw error;
+	}
+	if (result && typeof result.then === 'function')
+		return result.finally(restore);
+	restore();
+	return result;
+}
+
+// a compiled game, ready to play; options are level (index into the LEVELS, including
+// messages), seed (for the random number generator) and allowErrors (play a game that
+// compiled with errors, as the editor would)
+function Game(text, options = {}) {
+	loadEngine();
+	unitTesting = true;		// no timers: wins and messages move on at once
+	activeGame = this;
+	this.text = text;
+	this.seed = options.seed === undefined ? null : String(options.seed);
+	consoleLines = [];
+	errorStrings = [];
+	errorStringsOnly = [];
+	errorCount = 0;
+
+	const compiled = runQuietly(() => compile(['loadLevel', options.level || 0], text, this.seed));
+	const plain = html => stripHTML(html).trim();
+	this.errors = errorStringsOnly.map(plain);
+	this.warnings = errorStrings.filter(e => !errorStringsOnly.includes(e)).map(plain);
+	if (!compiled || (errorCount > 0 && !options.allowErrors)) {
+		// the first error is usually the cause of the others; all of them are in error.errors
+		const firstError = this.errors.length > 0 ? this.errors[0] : errorStrings.length > 0 ? plain(errorStrings[0]) : 'unknown error';
+		const more = this.errors.length > 1 ? ` (and ${this.errors.length - 1} more errors)` : '';
+		const error = new Error(`Compilation failed: ${firstError}${more}`);
+		error.errors = this.errors;
+		throw error;
+	}
+	this.state = compiled;
+	this.beginStep();
+	runQuietly(() => this.settle());
+	this.endStep();
+}
+
+// make sure this is the game the engine is running
+Game.prototype.checkActive = function() {
+	if (activeGame !== this)
+		throw new Error('This game is no longer active: only the most recently created Game can be played.');
+}
+
+Game.prototype.beginStep = function() {
+	this.checkActive();
+	stepSounds = [];
+	stepWins = 0;
+	messagetext = '';
+}
+
+Game.prototype.endStep = function(changed) {
+	return {
+		changed: !!changed,
+		won: stepWins > 0,
+		messages: this.takeMessages(),
+		sounds: stepSounds,
+	};
+}
+
+// collect the message shown by a rule command, if any
+Game.prototype.takeMessages = function() {
+	const messages = [];
+	if (messagetext)
+		messages.push(messagetext);
+	messagetext = '';
+	return messages;
+}
+
+// run again turns to completion, as the browser would with its timer
+Game.prototype.settle = function() {
+	while (againing) {
+		againing = false;
+		processInput(-1);
+	}
+}
+
+// what is on the screen, to tell whether a step changed anything: processInput() returns true
+// for any turn that was played, even one where nothing moved
+Game.prototype.snapshot = function() {
+	return {
+		levelNo: curLevelNo,
+		textMode: textMode,
+		titleScreen: titleScreen,
+		objects: textMode ? null : Array.from(curLevel.objects),
+	};
+}
+
+Game.prototype.changedSince = function(before) {
+	const after = this.snapshot();
+	return after.levelNo !== before.levelNo || after.textMode !== before.textMode || after.titleScreen !== before.titleScreen
+		|| (after.objects !== null && after.objects.some((word, i) => word !== before.objects[i]));
+}
+
+// apply one input, using the same encoding as inputHistory: a direction index or name
+// (up, left, down, right, action), "tick", "undo", "restart" or "mouse,id,coordIndex"
+Game.prototype.input = function(value) {
+	this.beginStep();
+	const before = this.snapshot();
+	runQuietly(() => {
+		if (textMode) {
+			// on a message screen action continues, anything else is ignored
+			if (!titleScreen && (value === 'action' || value === 4))
+				nextLevel();
+			return;
+		}
+		if (value === 'undo') {
+			DoUndo(false, true);
+		} else if (value === 'restart') {
+			DoRestart();
+		} else if (value === 'tick') {
+			processInput(-1);
+		} else if (String(value).startsWith('mouse')) {
+			const args = value.split(',');
+			mouseInput(+args[1], +args[2]);
+		} else {
+			const dir = typeof value === 'number' ? value : dirNames.indexOf(value);
+			if (dir < 0 || dir > 4)
+				throw new Error(`Unknown input "${value}".`);
+			if (dir === 4 && 'noaction' in state.metadata)
+				return;
+			processInput(dir);
+		}
+		this.settle();
+	});
+	return this.endStep(this.changedSince(before));
+}
+
+// apply a list of inputs, returning the combined result
+Game.prototype.inputs = function(values) {
+	const total = { changed: false, won: false, messages: [], sounds: [] };
+	for (const value of values) {
+		const step = this.input(value);
+		total.changed = total.changed || step.changed;
+		total.won = total.won || step.won;
+		total.messages.push(...step.messages);
+		total.sounds.push(...step.sounds);
+	}
+	return total;
+}
+
+Game.prototype.tick = function() {
+	return this.input('tick');
+}
+
+Game.prototype.undo = function() {
+	return this.input('undo');
+}
+
+Game.prototype.restart = function() {
+	return this.input('restart');
+}
+
+// click on cell x,y (zero based); button is left or right
+Game.prototype.click = function(x, y, button = 'left') {
+	this.checkActive();
+	if (x < 0 || y < 0 || x >= curLevel.width || y >= curLevel.height)
+		throw new Error(`Click at ${x},${y} is outside the level.`);
+	const id = button === 'left'
+		? ('mouse_left' in state.metadata ? state.lmbID : -1)
+		: ('mouse_right' in state.metadata ? state.rmbID : -2);
+	return this.input(`mouse,${id},${y + x * curLevel.height}`);
+}
+
+// go to a level by index into the LEVELS, including messages
+Game.prototype.loadLevel = function(index) {
+	this.beginStep();
+	runQuietly(() => {
+		compile(['loadLevel', index], this.text, this.seed);
+		this.settle();
+	});
+	return this.endStep(true);
+}
+
+// forget the progress in play and continue from the progress saved in storage, as choosing continue
+// on the title screen does after the page is reloaded
+Game.prototype.reload = function() {
+	this.beginStep();
+	runQuietly(() => {
+		curLevelNo = 0;
+		curlevelTarget = null;
+		solvedSections = [];
+		linkStack = [];
+		doSetupTitleScreenLevelContinue();
+		loadLevelFromStateOrTarget();
+		this.settle();
+	});
+	return this.endStep(true);
+}
+
+// search for a solution to the current level, using the editor's solver; options are as for
+// searchLevel(), and so is the result. The level is left restarted.
+Game.prototype.solve = async function(options) {
+	this.checkActive();
+	if (textMode)
+		throw new Error('There is no level to solve.');
+	unitTesting = false;		// so a win stops on the level rather than going to the next
+	try {
+		return await searchLevel(options);
+	} finally {
+		unitTesting = true;
+	}
+}
+
+// replay the SOLUTION of every level that has one, as the VERIFY link in the editor does, and
+// return the report it prints to the console. The game is left where it was.
+Game.prototype.verifySolutions = function() {
+	this.checkActive();
+	const start = consoleLines.length;
+	unitTesting = false;		// so a win stops on the level, as it does in solve()
+	try {
+		runQuietly(verifySolutions);
+	} finally {
+		unitTesting = true;
+	}
+	return consoleLines.splice(start);
+}
+
+// snapshot of the current level: cells are listed by row, each a list of object names
+Game.prototype.getState = function() {
+	this.checkActive();
+	const level = state.levels[curLevelNo];
+	const showingLevel = !textMode && !titleScreen;
+	const cells = [];
+	if (showingLevel) {
+		for (let y = 0; y < curLevel.height; y++) {
+			const row = [];
+			for (let x = 0; x < curLevel.width; x++)
+				row.push(curLevel.getObjects(y + x * curLevel.height));
+			cells.push(row);
+		}
+	}
+	return {
+		levelIndex: curLevelNo,
+		levelCount: state.levels.length,
+		title: level && level.title || null,
+		section: level && level.section || null,
+		titleScreen: titleScreen,
+		message: !titleScreen && textMode && level ? level.message || null : null,
+		width: showingLevel ? curLevel.width : 0,
+		height: showingLevel ? curLevel.height : 0,
+		level: cells,
+		status: statusText || null,
+		canUndo: backups.length > 0,
+	};
+}
+
+// level in the format used by the test data
+Game.prototype.getLevelString = function() {
+	this.checkActive();
+	return convertLevelToString();
+}
+
+// console panel output since the last call
+Game.prototype.takeConsole = function() {
+	const lines = consoleLines;
+	consoleLines = [];
+	return lines;
+}
+
+module.exports = { Game, loadEngine, runQuietly, stripHTML, provideCustomEvent };
@@ -0,0 +1,177 @@
+// Solve every level of a game from the command line, and write a JSON report
+// Uses the same solver as the SOLVE link in the editor.
+//
+// node solve.js <game.txt> [options]
+//   --levels <n>|<from>-<to>  levels to solve, numbered from 1 as in the game (default all)
+//   --strategy <name>         best, bfs, astar, idastar or beam (default from the prelude, or best)
+//   --beam-width <n>          positions kept at each depth by beam search (default 1000)
+//   --max-nodes <n>           give up on a level after exploring n positions
+//   --max-time <seconds>      give up on a level after this long
+//   --max-memory <MB>         give up on a level when the search needs this much memory (default 512)
+//   --seed <seed>             random seed for the game
+//   --output <file>           write the report to file instead of stdout
+
+const fs = require('fs');
+const path = require('path');
+const { Game } = require('./headless.js');
+
+const usage = `usage: node solve.js <game.txt> [--levels <n>|<from>-<to>] [--strategy <name>] [--beam-width <n>] [--max-nodes <n>] [--max-time <seconds>] [--max-memory <MB>] [--seed <seed>] [--output <file>]`;
+
+function parseArgs(argv) {
+	const options = { file: null, from: 1, to: Infinity, strategy: null, beamWidth: null, maxNodes: null, maxTime: null, maxMemory: null, seed: undefined, output: null };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const value = () => {
+			if (i + 1 >= argv.length)
+				throw new Error(`Missing value for ${arg}`);
+			return argv[++i];
+		};
+		const number = () => {
+			const n = Number(value());
+			if (!(n > 0))
+				throw new Error(`Expected a positive number for ${arg}`);
+			return n;
+		};
+		if (arg === '--levels') {
+			const match = value().match(/^(\d+)(?:-(\d*))?$/);
+			if (!match)
+				throw new Error(`Expected <n> or <from>-<to> for --levels`);
+			options.from = +match[1];
+			options.to = match[2] === undefined ? options.from : match[2] === '' ? Infinity : +match[2];
+			if (options.from < 1)
+				throw new Error(`Levels are numbered from 1, so --levels cannot start at ${options.from}`);
+			if (options.to < options.from)
+				throw new Error(`--levels ${match[0]} selects no levels`);
+		}
+		else if (arg === '--strategy') options.strategy = value();
+		else if (arg === '--beam-width') options.beamWidth = number();
+		else if (arg === '--max-nodes') options.maxNodes = number();
+		else if (arg === '--max-time') options.maxTime = number();
+		else if (arg === '--max-memory') options.maxMemory = number();
+		else if (arg === '--seed') options.seed = value();
+		else if (arg === '--output') options.output = value();
+		else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+		else if (options.file === null) options.file = arg;
+		else throw new Error(`Unexpected argument ${arg}`);
+	}
+	if (options.file === null)
+		throw new Error('No game file given');
+	return options;
+}
+
+// replay a solution from the start of the level, to check that it really wins
+function verify(game, index, inputs) {
+	game.loadLevel(index);
+	let won = false;
+	for (const input of inputs)
+		won = game.input(input).won || won;
+	return won;
+}
+
+// whether the solver said it solved a level, but replaying its solution did not win
+function isUnverified(entry) {
+	return entry.status === 'solved' && entry.verified === false;
+}
+
+async function solveLevels(options) {
+	const text = fs.readFileSync(options.file, 'utf8');
+	const game = new Game(text, { level: 0, seed: options.seed, allowErrors: true });
+	const strategy = options.strategy || game.state.metadata.solver_strategy || 'best';
+	if (!(strategy in solverStrategies))
+		throw new Error(`Unknown strategy ${strategy}, expected one of ${Object.keys(solverStrategies).join(', ')}`);
+	const report = {
+		file: path.basename(options.file),
+		title: game.state.metadata.title || null,
+		strategy: strategy,
+		maxNodes: options.maxNodes,
+		maxTime: options.maxTime,
+		maxMemory: options.maxMemory,
+		errors: game.errors,
+		levels: [],
+	};
+
+	// a progress line that is rewritten in place, when stderr is a terminal
+	let progressTime = 0;
+	const progress = process.stderr.isTTY && (text => {
+		if (text && Date.now() - progressTime < 1000)
+			return;
+		progressTime = text ? Date.now() : 0;
+		process.stderr.write(`\r${text}\x1b[K`);
+	});
+
+	// messages and gotos are not counted
+	const levelCount = game.state.levels.filter(level => level instanceof Level).length;
+	if (options.from > levelCount)
+		throw new Error(`No levels to solve: --levels starts at ${options.from}, but the game has ${levelCount} levels`);
+
+	let number = 0;
+	for (let index = 0; index < game.state.levels.length; index++) {
+		if (!(game.state.levels[index] instanceof Level))
+			continue;
+		if (++number < options.from || number > options.to)
+			continue;
+		game.loadLevel(index);
+		const result = await game.solve({
+			strategy: strategy,
+			beamWidth: options.beamWidth,
+			maxNodes: options.maxNodes,
+			maxTime: options.maxTime && options.maxTime * 1000,
+			maxMemory: options.maxMemory,
+			onProgress: progress && ((explored, rate) => progress(`level ${number}: ${explored} positions, ${rate}/s`)),
+		});
+		if (progress)
+			progress('');
+		const entry = {
+			level: number,
+			index: index,
+			title: game.state.levels[index].title || null,
+			status: result.status,
+			solution: result.solution,
+			inputs: result.inputs,
+			steps: result.inputs === null ? null : result.inputs.length,
+			explored: result.explored,
+			time: result.time,
+		};
+		if (result.solution !== null)
+			entry.verified = verify(game, index, result.inputs);
+		report.levels.push(entry);
+		process.stderr.write(`level ${number}: ${entry.status}` +
+			(entry.steps === null ? '' : ` in ${entry.steps} steps`) + ` (${entry.explored} positions, ${entry.time}ms, ${Math.round(entry.explored * 1000 / Math.max(1, entry.time))}/s)` +
+			(isUnverified(entry) ? ', but the solution does not win when it is replayed' : '') + '\n');
+	}
+
+	// a solution that does not win is a bug in the solver, and does not count as solved
+	const unverified = report.levels.filter(isUnverified).length;
+	report.solved = report.levels.filter(l => l.status === 'solved').length - unverified;
+	report.unsolved = report.levels.length - report.solved;
+	report.unverified = unverified;
+	return report;
+}
+
+async function main() {
+	let options;
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (error) {
+		console.error(`${error.message}\n${usage}`);
+		return 2;
+	}
+
+	let report;
+	try {
+		report = await solveLevels(options);
+	} catch (error) {
+		console.error(error.message);
+		for (const e of error.errors || [])
+			console.error(e);
+		return 2;
+	}
+	const json = JSON.stringify(report, null, 2) + '\n';
+	if (options.output)
+		fs.writeFileSync(options.output, json);
+	else
+		process.stdout.write(json);
+	return report.unsolved === 0 ? 0 : 1;
+}
+
+main().then(code => process.exitCode = code);
@@ -11,7 +11,7 @@ const limit = 1000000;
 // Read the list of files
 const files = fs.readFileSync('scripts_list.txt', 'utf8')
     .split('\n')
-    .map(f => f.trim())
+    .map(f => f.trim().replace(/\\/g, '/'))	// lists made on Windows use backslashes
     .filter(f => !['README', 'blank.txt', ''].includes(f))
     .slice(0, limit);
 const data = files.map(f => {
@@ -0,0 +1,62 @@
+// Tests for what the compiler makes of options in a game (prelude options, and PARs of levels), run by
+// run_tests.js
+// [ name, [ game source, expected ] ], where expected lists the properties to check of what the game
+// compiles to (see runCompileTest() in headless_tests.js), or is { error } if it should fail to compile.
+
+var compile_testdata = [
+	[
+		"bind keys to controls",
+		["title Headless test\nkey_bindings up=w,up left=a undo=z,backspace\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"key_bindings": {"up": [87, 38], "left": [65], "undo": [90, 8]}, "warnings": []}]
+	],
+	[
+		"bind keys whatever their case",
+		["title Headless test\nkey_bindings UP=W action=Space,enter\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"key_bindings": {"up": [87], "action": [32, 13]}}]
+	],
+	[
+		"bind a punctuation key",
+		["title Headless test\nkey_bindings restart=r,`\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"key_bindings": {"restart": [82, 192]}}]
+	],
+	[
+		"refuse a control that doesn't exist",
+		["title Headless test\nkey_bindings jump=w\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"error": "Compilation failed: Sorry, but \"jump\" in key_bindings is not one of up, down, left, right, action, undo, restart."}]
+	],
+	[
+		"refuse a key that doesn't exist",
+		["title Headless test\nkey_bindings up=foo\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"error": "Compilation failed: Sorry, but I don't know all the keys in \"up=foo\" for key_bindings. Use letters, digits, or names like space, enter or up."}]
+	],
+	[
+		"refuse a control without keys",
+		["title Headless test\nkey_bindings up\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		{"error": "Compilation failed: Sorry, but I don't know all the keys in \"up\" for key_bindings. Use letters, digits, or names like space, enter or up."}]
+	],
+	[
+		"give a level a PAR",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\npar 9\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		{"par": [9, null], "warnings": []}]
+	],
+	[
+		"refuse a PAR that isn't a number",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\npar x\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		{"error": "Compilation failed: line 62 : PAR \"x\" is not a number of moves: it needs a whole number greater than 0, like \"par 24\"."}]
+	],
+	[
+		"refuse a PAR of no moves",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\npar 0\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		{"error": "Compilation failed: line 62 : PAR \"0\" is not a number of moves: it needs a whole number greater than 0, like \"par 24\"."}]
+	],
+	[
+		"replace a PAR given twice",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\npar 9\npar 12\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		{"par": [12, null], "warnings": ["line 63 : There is already a PAR for this level, so this one replaces it."]}]
+	],
+	[
+		"read rows of glyphs that start with SOLUTION or PAR as level rows",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\nA = Background\nR = Wall\nS = Wall\nL = Wall\nU = Wall\nT = Wall\nI = Wall\nN = Wall\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution#\npara....#\n#.*.*...#\n#..O.O..#\n#########\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		{"par": [null, null], "warnings": []}]
+	]
+];
@@ -0,0 +1,32 @@
+// Tests for counting how often rules apply (ruleCoverage in src/js/debug.js, as COVERAGE in the
+// editor counts them), run by run_tests.js
+// [ name, [ game source, steps, expected ] ]: each step is a method of Game and its arguments, and
+// expected has, for each line of the RULES, the number of times its rules applied and the number of
+// its expanded rules that never did.
+
+var coverage_testdata = [
+	[
+		"count the rules that apply in play",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n[ Crate | Crate | Crate ] -> [ Wall | Wall | Wall ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[["inputs", [["down", "right", "up", "right", "down", "right", "up", "right", "down"]]]],
+		{"50":[4,2],"51":[0,2]}]
+	],
+	[
+		"count the rules that apply in a replay of the SOLUTIONs",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n[ Crate | Crate | Crate ] -> [ Wall | Wall | Wall ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution drurdrurd\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[["verifySolutions", []]],
+		{"50":[4,2],"51":[0,2]}]
+	],
+	[
+		"don't count the rules that apply in a search",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n[ Crate | Crate | Crate ] -> [ Wall | Wall | Wall ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[["solve", [{"strategy": "bfs"}]]],
+		{"50":[0,4],"51":[0,2]}]
+	],
+	[
+		"count the rules of a random group",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\nMark\ntransparent\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nMark\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n[ Crate | Crate | Crate ] -> [ Wall | Wall | Wall ]\nrandom [ Player no Mark ] -> [ Player Mark ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[["inputs", [["down", "right", "up", "right", "down", "right", "up", "right", "down"]]]],
+		{"54":[4,2],"55":[0,2],"56":[9,0]}]
+	]
+];
@@ -0,0 +1,20 @@
+// Tests for the glyphs proposed to write a level into the source (proposeLevelGlyphs() in
+// src/js/compiler.js), run by run_tests.js
+// [ name, [ game source, inputs, expected LEGEND lines ] ]: the inputs are played on the first
+// level, and then the source with the new LEGEND lines and the level written in glyphs should
+// compile without warnings, to the same level.
+
+var glyph_testdata = [
+	[
+		"use the glyphs in the legend",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		[],
+		[]]
+	],
+	[
+		"propose glyphs for cells that have none",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		["right","down","down","left"],
+		["! = Target and Player","$ = Target and Crate"]]
+	]
+];
@@ -0,0 +1,118 @@
+// Tests for the headless runtime (src/node/headless.js), run by run_tests.js
+// [ name, [ game source, Game options, steps, levels won ] ], where each step calls a method of the
+// Game as [ method, arguments, expected ]. expected lists the properties of the result to check,
+// or is the result itself, or { error } if the call should throw. If steps is a string, creating
+// the Game should throw that error instead.
+
+var headless_testdata = [
+	[
+		"play through a game",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nP*O\n\nmessage Well done\n\nP.*O\n",
+		{},
+		[
+			["getState",[],{"levelIndex":0,"levelCount":3,"title":"Level 1","message":null,"width":3,"height":1,"level":[[["background","player"],["background","crate"],["background","target"]]],"canUndo":false}],
+			["input",["left"],{"changed":false,"won":false}],
+			["input",["right"],{"changed":true,"won":true,"sounds":["36772507"]}],
+			["getState",[],{"levelIndex":1,"message":"Well done","width":0,"level":[]}],
+			["input",["right"],{"changed":false}],
+			["input",["action"],{"changed":true,"won":false}],
+			["getState",[],{"levelIndex":2,"title":"Level 2","level":[[["background","player"],["background"],["background","crate"],["background","target"]]],"canUndo":false}],
+			["inputs",[["right","right"]],{"changed":true,"won":true,"sounds":["36772507"]}],
+			["getState",[],{"levelIndex":0,"titleScreen":true,"level":[]}],
+		],
+		2]
+	],
+	[
+		"undo, restart, tick and load a level",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nP*O\n\nmessage Well done\n\nP.*O\n",
+		{"level":2},
+		[
+			["input",["right"],{"changed":true}],
+			["getState",[],{"level":[[["background"],["background","player"],["background","crate"],["background","target"]]],"canUndo":true}],
+			["undo",[],{"changed":true}],
+			["getState",[],{"level":[[["background","player"],["background"],["background","crate"],["background","target"]]],"canUndo":false}],
+			["input",[3],{"changed":true}],
+			["restart",[],{"changed":true}],
+			["getState",[],{"level":[[["background","player"],["background"],["background","crate"],["background","target"]]]}],
+			["tick",[],{"changed":false,"won":false}],
+			["getLevelString",[],"background player:0,background:1,background crate:2,background target:3,\n"],
+			["loadLevel",[0],{"changed":true}],
+			["getState",[],{"levelIndex":0,"level":[[["background","player"],["background","crate"],["background","target"]]]}],
+			["input",["sideways"],{"error":"Unknown input \"sideways\"."}],
+		],
+		0]
+	],
+	[
+		"click on cells",
+		["title Headless click test\n\nmouse_left Tree\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nPlayer\nwhite\n\nTree\ngreen\n\n=======\nLEGEND\n=======\n\n. = Background\nP = Player\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nPlayer\nTree\n\n======\nRULES\n======\n\n==============\nWINCONDITIONS\n==============\n\n=======\nLEVELS\n=======\n\nP..\n",
+		{},
+		[
+			["click",[2,0],{"changed":true}],
+			["getState",[],{"level":[[["background","player"],["background"],["background","tree"]]]}],
+			["click",[2,0],{"changed":false}],
+			["undo",[],{"changed":true}],
+			["getState",[],{"level":[[["background","player"],["background"],["background"]]]}],
+			["click",[3,0],{"error":"Click at 3,0 is outside the level."}],
+		],
+		0]
+	],
+	[
+		"report the first compile error",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Plyr | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nP*O\n\nmessage Well done\n\nP.*O\n",
+		{},
+		"Compilation failed: line 50 : Name \"plyr\", referred to in a rule, does not exist. (and 3 more errors)"]
+	],
+	[
+		"verify a SOLUTION that wins",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution (drurd rurd)\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n",
+		{},
+		[
+			["input",["right"],{"changed":true}],
+			["verifySolutions",[],["1 of 1 solutions still win."]],
+			["getLevelString",[],"background wall:0,0,0,0,0,0,background:1,\n1,1,0,0,background player:2,background crate:3,1,\n0,0,1,1,background target:4,0,0,\n1,3,1,0,0,1,1,\n4,0,0,0,0,0,0,\n"],
+		],
+		0]
+	],
+	[
+		"verify SOLUTIONs that no longer win",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution (drurd rurd)\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\nsolution drurd\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\nmessage Not levels\n\nsolution (rrrrr)\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n",
+		{},
+		[
+			["verifySolutions",[],["The SOLUTION for Level 2 (line 69) no longer wins (5 moves played).","The SOLUTION for Level 3 (line 78) no longer wins (5 moves played).","1 of 3 solutions still win."]],
+		],
+		0]
+	],
+	[
+		"verify a SOLUTION that clicks outside the level",
+		["title Solver click test\n\nmouse_left Tree\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nPlayer\nwhite\n\nTree\ngreen\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\nP = Player\nO = Target\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer\nTree\n\n======\nRULES\n======\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Tree\n\n=======\nLEVELS\n=======\n\nsolution L(1,1)\nP..\n.O.\n\nsolution L(5,5)\nP..\n.O.\n",
+		{},
+		[
+			["verifySolutions",[],["The SOLUTION for Level 2 (line 60) clicks outside the level on move 1.","1 of 2 solutions still win."]],
+		],
+		0]
+	],
+	[
+		"report a SOLUTION that can't be read",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution up and down\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n",
+		{},
+		"Compilation failed: line 62 : SOLUTION \"up and down\" is not a solution: use u, l, d and r for the arrow keys, x for action, t to wait for a tick and L(x,y) or R(x,y) to click, as the solver does."]
+	],
+	[
+		"continue a save made in a linked level",
+		["title Link test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nPlayer\nwhite\n\nDoor\nyellow\n\nExit\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\nP = Player\nD = Door\nO = Exit\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nDoor, Exit\nPlayer\n\n======\nRULES\n======\n\n[ action Player Door ] -> [ Player Door ] link\n\n==============\nWINCONDITIONS\n==============\n\nAll Player on Exit\n\n=======\nLEVELS\n=======\n\nlink Door Side\nP.D.O\n\nlevel Side\nP.O\n",
+		{},
+		[
+			["input",["right"],{"changed":true,"won":false}],
+			["input",["right"],{"changed":true,"won":false}],
+			["input",["action"],{"changed":true,"won":false}],
+			["getState",[],{"levelIndex":1,"level":[[["background","player"],["background"],["background","exit"]]]}],
+			["input",["right"],{"changed":true,"won":false}],
+			["reload",[],{"changed":true,"won":false}],
+			["getState",[],{"levelIndex":1,"level":[[["background","player"],["background"],["background","exit"]]]}],
+			["input",["right"],{"changed":true,"won":false}],
+			["input",["right"],{"changed":true,"won":true}],
+			["getState",[],{"levelIndex":0,"level":[[["background"],["background"],["background","door","player"],["background"],["background","exit"]]]}],
+		],
+		1]
+	],
+];
@@ -0,0 +1,241 @@
+// Suites that need Node: they play games through the headless runtime (src/node/headless.js), or
+// call functions of the engine and of the editor scripts that run_tests.js loads.
+// Loaded by run_tests.js after tests.js, but not by tests.html.
+
+runGameSuite('Headless 🤖', headless_testdata);
+runSolverSuite('Solver 🔎', solver_testdata);
+runGlyphSuite('Level glyphs 🔤', glyph_testdata);
+runCallSuite('Replay files 📼', replay_testdata);
+runSourceSuite('Apply level to source 📝', source_testdata);
+runCompileSuite('Compiled options 🛠️', compile_testdata);
+runCallSuite('PAR stars ⭐', par_testdata);
+runCoverageSuite('Rule coverage 📊', coverage_testdata);
+runWatchSuite('Watches 👀', watch_testdata);
+
+// play games through the Game API, checking the result of each step and the number of levels won
+function runGameSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runGameTest(testData));
+	});
+}
+
+function runGameTest(testData) {
+	const [tdCode, tdOptions, tdSteps, tdWins] = testData;
+	if (typeof tdSteps === 'string') {
+		QUnit.assert.equal(errorMessageOf(() => new Game(tdCode, tdOptions)), tdSteps, `Creating the game failed as expected.`);
+		return;
+	}
+
+	const game = new Game(tdCode, tdOptions);
+	let wins = 0;
+	tdSteps.forEach(([method, args, expected], i) => {
+		const description = `Step ${i + 1}, ${method}(${args.map(a => JSON.stringify(a)).join(', ')})`;
+		const result = checkResult(description, () => game[method](...args), expected);
+		if (result && result.won)
+			wins++;
+	});
+	QUnit.assert.equal(wins, tdWins, `Levels won as expected.`);
+}
+
+// call functions of the engine and editor, checking what they return
+function runCallSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runCallTest(testData));
+	});
+}
+
+function runCallTest(testData) {
+	const [tdFunction, tdArgs, tdExpected] = testData;
+	checkResult(`${tdFunction}()`, () => globalThis[tdFunction](...tdArgs), tdExpected);
+}
+
+// check what call returns: expected is the result itself, or lists the properties of the result to
+// check, or is { error } if the call should throw. Returns the result.
+function checkResult(description, call, expected) {
+	if (expected !== null && typeof expected === 'object' && 'error' in expected) {
+		QUnit.assert.equal(errorMessageOf(call), expected.error, `${description} failed as expected.`);
+		return undefined;
+	}
+	const result = call();
+	if (expected === null || typeof expected !== 'object') {
+		QUnit.assert.equal(JSON.stringify(result), JSON.stringify(expected), `${description} as expected.`);
+		return result;
+	}
+	for (const key of Object.keys(expected))
+		QUnit.assert.equal(JSON.stringify(result[key]), JSON.stringify(expected[key]), `${description}: ${key} as expected.`);
+	return result;
+}
+
+// solve levels, checking the result of the search and that the solution found wins
+function runSolverSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runSolverTest(testData));
+	});
+}
+
+async function runSolverTest(testData) {
+	const [tdCode, tdLevel, tdOptions, tdExpected] = testData;
+	const game = new Game(tdCode, { level: tdLevel });
+	const { worker, ...options } = tdOptions;
+	const result = worker ? await searchLevelInWorker({ ...options, onProgress: () => {} }) : await game.solve(options);
+	for (const key of Object.keys(tdExpected))
+		QUnit.assert.equal(JSON.stringify(result[key]), JSON.stringify(tdExpected[key]), `Search result: ${key} as expected.`);
+	if (result.inputs)
+		QUnit.assert.true(game.inputs(result.inputs).won, `The solution wins.`);
+}
+
+// propose glyphs for a level, as the level editor does to write it into the source, then compile the
+// source with them
+function runGlyphSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runGlyphTest(testData));
+	});
+}
+
+function runGlyphTest(testData) {
+	const [tdCode, tdInputs, tdDefinitions] = testData;
+	const game = new Game(tdCode);
+	game.inputs(tdInputs);
+	const levelString = game.getLevelString();
+	const proposal = proposeLevelGlyphs(state, curLevel);
+	QUnit.assert.equal(JSON.stringify(proposal.definitions), JSON.stringify(tdDefinitions), `Glyphs proposed as expected.`);
+
+	// any other character that could have been proposed should do as well
+	const others = [];
+	if (tdDefinitions.length > 0) {
+		const definition = tdDefinitions[0].slice(1);		// " = A and B"
+		const used = new Set();
+		let glyph;
+		while ((glyph = getUnusedGlyph(state, used)) !== null)
+			others.push(glyph + definition);
+	}
+
+	// levels are stored by column
+	const rows = [];
+	for (let y = 0; y < curLevel.height; y++) {
+		let row = '';
+		for (let x = 0; x < curLevel.width; x++)
+			row += proposal.glyphs[curLevel.getCell(y + x * curLevel.height).data.join(',')];
+		rows.push(row);
+	}
+	const levelIndex = state.levels.length;
+	const written = new Game(addLegendLines(tdCode, proposal.definitions) + `\n${rows.join('\n')}\n`, { level: levelIndex });
+	QUnit.assert.equal(JSON.stringify(written.warnings), '[]', `The source with the new glyphs compiles without warnings.`);
+	QUnit.assert.equal(written.getLevelString(), levelString, `The level written in glyphs is the same level.`);
+
+	if (others.length > 0) {
+		const all = new Game(addLegendLines(tdCode, others));
+		QUnit.assert.equal(JSON.stringify(all.warnings), '[]', `Every glyph that could be proposed compiles without warnings.`);
+	}
+}
+
+// write the level being played into the source, as the level editor does, then compile the source
+function runSourceSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runSourceTest(testData));
+	});
+}
+
+function runSourceTest(testData) {
+	const [tdCode, tdInputs, tdExpected] = testData;
+	const game = new Game(tdCode);
+	game.inputs(tdInputs);
+	const levelString = game.getLevelString();
+	const lines = tdCode.split('\n');
+	const edit = checkResult(`getLevelSourceEdit()`, () => getLevelSourceEdit(state, lines, state.levels[curLevelNo], curLevel), tdExpected);
+	if (!edit)
+		return;
+
+	// the legend comes before the level, so add to it last
+	lines.splice(edit.firstLine, edit.lastLine - edit.firstLine + 1, ...edit.text.split('\n'));
+	lines.splice(edit.legendLine + 1, 0, ...edit.definitions);
+	const written = new Game(lines.join('\n'));
+	QUnit.assert.equal(JSON.stringify(written.warnings), '[]', `The source with the level written compiles without warnings.`);
+	QUnit.assert.equal(written.getLevelString(), levelString, `The level written is the same level.`);
+}
+
+// compile games, checking what the compiler made of their options
+function runCompileSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runCompileTest(testData));
+	});
+}
+
+function runCompileTest(testData) {
+	const [tdCode, tdExpected] = testData;
+	checkResult(`Compiling the game`, () => {
+		const game = new Game(tdCode);
+		return {
+			key_bindings: state.metadata.key_bindings,
+			par: state.levels.map(level => level.par ?? null),
+			warnings: game.warnings,
+		};
+	}, tdExpected);
+}
+
+// count the rules that apply while playing games, as COVERAGE in the editor does
+function runCoverageSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runCoverageTest(testData));
+	});
+}
+
+async function runCoverageTest(testData) {
+	const [tdCode, tdSteps, tdExpected] = testData;
+	const game = new Game(tdCode);
+	const counts = ruleCoverage = new Map();
+	try {
+		for (const [method, args] of tdSteps)
+			await game[method](...args);
+	} finally {
+		ruleCoverage = null;		// stop counting, whatever happens
+	}
+
+	// added up by source line, as the report in the editor does
+	const lines = {};
+	for (const rule of state.rules.concat(state.lateRules).flat()) {
+		const line = lines[rule.lineNumber] || (lines[rule.lineNumber] = [0, 0]);
+		line[0] += counts.get(rule) || 0;
+		if (!counts.has(rule))
+			line[1]++;
+	}
+	QUnit.assert.equal(JSON.stringify(lines), JSON.stringify(tdExpected), `Rule applications counted as expected.`);
+}
+
+// play games, checking the values that the WATCH panel of the editor would show
+function runWatchSuite(module, testDataList) {
+	QUnit.module(module, () => {
+		for (const [testName, testData] of testDataList.slice(0,limit))
+			QUnit.test(testName, () => runWatchTest(testData));
+	});
+}
+
+function runWatchTest(testData) {
+	const [tdCode, tdInputs, tdExpected] = testData;
+	const game = new Game(tdCode);
+	game.inputs(tdInputs);
+	for (const [text, expected] of Object.entries(tdExpected))
+		QUnit.assert.equal(evaluateWatch(text), expected, `Watch "${text}" as expected.`);
+}
+
+// the source with lines added at the start of the LEGEND
+function addLegendLines(code, lines) {
+	return code.replace(/^LEGEND\n=+\n/m, heading => `${heading}\n${lines.join('\n')}\n`);
+}
+
+// the message of the error thrown by fn, or null if it doesn't throw
+function errorMessageOf(fn) {
+	try {
+		fn();
+	} catch (error) {
+		return error.message;
+	}
+	return null;
+}
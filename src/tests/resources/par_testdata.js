@@ -0,0 +1,33 @@
+// Tests for scoring levels against their PAR (getParStars() in src/js/engine.js), run by run_tests.js
+// [ name, [ function, arguments, expected ] ], as for replay_testdata.js
+
+var par_testdata = [
+	[
+		"solve in par",
+		["getParStars",[9,9],3]
+	],
+	[
+		"solve in fewer moves than par",
+		["getParStars",[5,9],3]
+	],
+	[
+		"solve in one move over par",
+		["getParStars",[10,9],2]
+	],
+	[
+		"solve in half as many moves again as par, rounded up",
+		["getParStars",[14,9],2]
+	],
+	[
+		"solve in more moves",
+		["getParStars",[15,9],1]
+	],
+	[
+		"solve in one move over a par of 1",
+		["getParStars",[2,1],2]
+	],
+	[
+		"solve in two moves over a par of 1",
+		["getParStars",[3,1],1]
+	]
+];
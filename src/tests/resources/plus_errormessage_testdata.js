@@ -146,4 +146,8 @@ var plus_errormessage_testdata = [
     "Colour Test (by david-pdx)",
     ["title Colour Test\nauthor Davidus Rex\nhomepage www.polyomino.com\n\n( \n\tTest program to cover all possible names and hex values for colours.\n Written to test fix for PS+ Issue #65 'Allow 4-character hex colors enhancement'\n)\n\n========\nOBJECTS\n========\n\nBackground\ngreen\n\nTarget\ndarkblue\n\nWall\nbrown\n\nPlayer\nblue\n\nCrate\norange\n\nA\nblack white darkgray lightgray gray \n01234\n12340\n23401\n34012\n40123\n\nB\ngrey darkgrey lightgrey red darkred \n01234\n12340\n23401\n34012\n40123\n\nC\nlightred brown darkbrown lightbrown orange \n01234\n12340\n23401\n34012\n40123\n\nD \nyellow green darkgreen lightgreen blue \n01234\n12340\n23401\n34012\n40123\n\nE\nlightblue darkblue purple pink transparent\n01234\n12340\n23401\n34012\n40123\n\nF\n#FffFFf #FF0000 #00FF00 #0000FF #000000\n01234\n12340\n23401\n34012\n40123\n\nG\n#FffFFf80 #FF000080 #00FF0080 #0000FF80 #00000080\n01234\n12340\n23401\n34012\n40123\n\nH\n#Fff #F00 #0F0 #00F #000\n01234\n12340\n23401\n34012\n40123\n\nI\n#Fff8 #F008 #0F08 #00F8 #0008\n01234\n12340\n23401\n34012\n40123\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\n@ = Crate and Target\nO = Target\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\nA,B,C,D,E,F,G,H,I\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nall Target on Crate\n\n=======\nLEVELS\n=======\n\n#########\n#.......#\n#.A.B.C.#\n#.......#\n#.D.E.F.#\n#.......#\n#.G.H.I.#\n#.......#\n#########\n\n#########\n#.......#\n#.....@.#\n#.P.*.O.#\n#.......#\n#.......#\n#########\n\n",[],0]
     ],
+[
+    "SOLUTION level command",
+    ["title Solutions\n\nnoaction\n\n========\nOBJECTS\n========\n\nBackground\ngreen\n\nTarget\ndarkblue\n\nWall\nbrown\n\nPlayer\nblue\n\nCrate\norange\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nall Target on Crate\n\n=======\nLEVELS\n=======\n\nsolution (rr)\n\n#######\n#P*.O.#\n#######\n\nsolution rr\nsolution (r r) L(1,0)\n\n#######\n#.P*O.#\n#######\n\nsolution up, up and away\n\n#######\n#P.*O.#\n#######\n",["line 69 : There is already a SOLUTION for this level, so this one replaces it.","line 75 : SOLUTION \"up, up and away\" is not a solution: use u, l, d and r for the arrow keys, x for action, t to wait for a tick and L(x,y) or R(x,y) to click, as the solver does."],1]
+    ],
 ];    
\ No newline at end of file
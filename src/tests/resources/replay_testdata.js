@@ -0,0 +1,54 @@
+// Tests for reading replay files (src/js/replay.js), run by run_tests.js
+// [ name, [ function, arguments, expected ] ], where expected lists the properties of the result to
+// check, or is the result itself, or { error } if the call should throw.
+
+var replay_testdata = [
+	[
+		"hash a game source",
+		["hashScript",["title My game\n"],"01e9b9a1"]
+	],
+	[
+		"hash nothing",
+		["hashScript",[""],"811c9dc5"]
+	],
+	[
+		"hash the FNV test text",
+		["hashScript",["foobar"],"bf9cf968"]
+	],
+	[
+		"read a replay",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":2,\"inputs\":[3,3,\"tick\",\"mouse,-1,14\",\"undo\",\"restart\",4],\"sounds\":[\"36772507\"]}"],{"level":2,"seed":"0.123","inputs":[3,3,"tick","mouse,-1,14","undo","restart",4],"sounds":["36772507"]}]
+	],
+	[
+		"read a replay without sounds",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":2,\"inputs\":[3,3,\"tick\",\"mouse,-1,14\",\"undo\",\"restart\",4]}"],{"inputs":[3,3,"tick","mouse,-1,14","undo","restart",4],"sounds":null}]
+	],
+	[
+		"reject JSON that isn't an object",
+		["parseReplay",["null"],{"error":"it is not a replay file"}]
+	],
+	[
+		"reject JSON that isn't a replay",
+		["parseReplay",["{\"format\":\"puzzlescript-save\",\"version\":1}"],{"error":"it is not a replay file"}]
+	],
+	[
+		"reject a later version",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":2,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":2,\"inputs\":[3,3,\"tick\",\"mouse,-1,14\",\"undo\",\"restart\",4],\"sounds\":[\"36772507\"]}"],{"error":"it is replay version 2, and this editor can only play up to version 1"}]
+	],
+	[
+		"reject a replay without a seed",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"level\":2,\"inputs\":[3,3,\"tick\",\"mouse,-1,14\",\"undo\",\"restart\",4],\"sounds\":[\"36772507\"]}"],{"error":"its level, seed or inputs are missing or invalid"}]
+	],
+	[
+		"reject a replay with a negative level",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":-1,\"inputs\":[3,3,\"tick\",\"mouse,-1,14\",\"undo\",\"restart\",4],\"sounds\":[\"36772507\"]}"],{"error":"its level, seed or inputs are missing or invalid"}]
+	],
+	[
+		"reject unknown inputs",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":2,\"inputs\":[3,5],\"sounds\":[\"36772507\"]}"],{"error":"its level, seed or inputs are missing or invalid"}]
+	],
+	[
+		"reject clicks that aren't on a cell",
+		["parseReplay",["{\"format\":\"puzzlescript-replay\",\"version\":1,\"title\":\"Headless test\",\"scriptHash\":\"1a2b3c4d\",\"seed\":\"0.123\",\"level\":2,\"inputs\":[\"mouse,left,3\"],\"sounds\":[\"36772507\"]}"],{"error":"its level, seed or inputs are missing or invalid"}]
+	]
+];
@@ -0,0 +1,114 @@
+// Tests for the solver (src/js/solver.js), run by run_tests.js
+// [ name, [ game source, level, searchLevel() options, expected ] ], where expected lists the
+// properties of the result to check. The level is an index into the LEVELS, including messages.
+// A solution found is also played back, to check that it wins. Best first search shuffles the
+// moves it tries, so its solution can differ from run to run. With worker: true in the options,
+// the search runs in js/solverworker.js, as it does in the editor.
+
+var solver_testdata = [
+	[
+		"best first search solves a level",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"best"},
+		{"status":"solved"}]
+	],
+	[
+		"breadth first search finds the shortest solution",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"bfs"},
+		{"status":"solved","solution":"drurdrurd"}]
+	],
+	[
+		"A* solves a level",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"astar"},
+		{"status":"solved","solution":"drurdrurd"}]
+	],
+	[
+		"IDA* solves a level",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"idastar"},
+		{"status":"solved","solution":"drurdrurd"}]
+	],
+	[
+		"beam search solves a level",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"beam"},
+		{"status":"solved","solution":"drurdrurd"}]
+	],
+	[
+		"best first search finds a level unsolvable",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		1,
+		{"strategy":"best"},
+		{"status":"unsolvable","solution":null}]
+	],
+	[
+		"breadth first search finds a level unsolvable",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		1,
+		{"strategy":"bfs"},
+		{"status":"unsolvable","solution":null}]
+	],
+	[
+		"A* finds a level unsolvable",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		1,
+		{"strategy":"astar"},
+		{"status":"unsolvable","solution":null}]
+	],
+	[
+		"IDA* finds a level unsolvable",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		1,
+		{"strategy":"idastar"},
+		{"status":"unsolvable","solution":null}]
+	],
+	[
+		"beam search runs out of positions to try",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		1,
+		{"strategy":"beam"},
+		{"status":"exhausted","solution":null}]
+	],
+	[
+		"solve by clicking",
+		["title Solver click test\n\nmouse_left Tree\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nPlayer\nwhite\n\nTree\ngreen\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\nP = Player\nO = Target\n\n=======\nSOUNDS\n=======\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer\nTree\n\n======\nRULES\n======\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Tree\n\n=======\nLEVELS\n=======\n\nP..\n.O.\n",
+		0,
+		{"strategy":"bfs"},
+		{"status":"solved","solution":"L(1,1)"}]
+	],
+	[
+		"solve by waiting for realtime ticks",
+		["title Solver tick test\nrealtime_interval 0.5\nnokeyboard\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ stationary Crate ] -> [ right Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\nP*.O\n",
+		0,
+		{"strategy":"bfs"},
+		{"status":"solved","solution":"tt"}]
+	],
+	[
+		"stop at the memory limit",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"bfs","maxMemory":0.02},
+		{"status":"memory"}]
+	],
+	[
+		"stop at the position limit",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"bfs","maxNodes":10},
+		{"status":"budget"}]
+	],
+	[
+		"search in a worker",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		0,
+		{"strategy":"bfs","worker":true},
+		{"status":"solved","solution":"drurdrurd"}]
+	]
+];
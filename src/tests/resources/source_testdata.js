@@ -0,0 +1,32 @@
+// Tests for writing the level being played back into the source, as "Apply to source" in the level
+// editor does (getLevelSourceEdit() in src/js/compiler.js), run by run_tests.js
+// [ name, [ game source, inputs, expected ] ]: the inputs are played on the first level, and expected
+// lists the properties of the edit to check, or is { error } if the level can't be written. The source
+// with the edit made should compile without warnings, to the same level.
+
+var source_testdata = [
+	[
+		"keep the rows of a level that hasn't changed",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		[],
+		{"firstLine": 61, "lastLine": 65, "text": "######\n#P*O.#\n#....#\n#O...#\n######", "definitions": []}]
+	],
+	[
+		"write the level with new glyphs, keeping the ones that still match",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n#....#\n#O...#\n######\n",
+		["right", "down", "down", "left"],
+		{"firstLine": 61, "lastLine": 65, "text": "######\n#..$.#\n#....#\n#!...#\n######", "definitions": ["! = Target and Player", "$ = Target and Crate"], "legendLine": 29}]
+	],
+	[
+		"keep a comment after a row",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.# (start here)\n#....#\n#O...#\n######\n",
+		["right", "down", "down", "left"],
+		{"text": "######\n#..$.# (start here)\n#....#\n#!...#\n######"}]
+	],
+	[
+		"refuse a level with a comment between its rows",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n######\n#P*O.#\n(a comment)\n#....#\n#O...#\n######\n",
+		[],
+		{"error": "Could not find the rows of the level at line <a onclick=\"jumpToLine(62);\"  href=\"javascript:void(0);\">62</a>, which may have comments between them. Copy it from the console instead."}]
+	]
+];
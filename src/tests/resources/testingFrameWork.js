@@ -17,7 +17,7 @@ function runTest(dataarray, checkErrors) {
 	const randomSeed = dataarray[4] || null;
 	const expectedSounds = dataarray[5] || null;
 
-	if (!compile(["loadLevel",targetLevel],levelString,randomSeed))
+	if (!compile(["loadLevel",targetLevel],levelString,randomSeed) || state.levels.length === 0)
 		return null;		// there is only grief if we continue.
 
 	while (againing) {
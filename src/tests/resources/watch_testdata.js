@@ -0,0 +1,31 @@
+// Tests for the values shown by the WATCH panel (evaluateWatch() in src/js/watches.js), run by
+// run_tests.js
+// [ name, [ game source, inputs, expected ] ]: the inputs are played on the first level, and expected
+// has the value of each watch after them.
+
+var watch_testdata = [
+	[
+		"count the cells with an object or property",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\nObstacle = Wall or Crate\nFilled = Target and Crate\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[],
+		{"crate": "2", "Target": "2", "player": "1", "obstacle": "22"}]
+	],
+	[
+		"count the cells with all of an aggregate",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\nObstacle = Wall or Crate\nFilled = Target and Crate\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		["down", "right", "up", "right", "down", "right", "up", "right"],
+		{"filled": "1"}]
+	],
+	[
+		"show what is in a cell",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\nObstacle = Wall or Crate\nFilled = Target and Crate\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		["down", "right", "up", "right", "down"],
+		{"2,2": "background", "4;3": "background player", "1,1": "background wall"}]
+	],
+	[
+		"say what can't be watched",
+		["title Headless test\n\n========\nOBJECTS\n========\n\nBackground\nblack\n\nWall\ngrey\n\nPlayer\nwhite\n\nCrate\norange\n\nTarget\nblue\n\n=======\nLEGEND\n=======\n\n. = Background\n# = Wall\nP = Player\n* = Crate\nO = Target\nObstacle = Wall or Crate\nFilled = Target and Crate\n\n=======\nSOUNDS\n=======\n\nCrate move 36772507\n\n================\nCOLLISIONLAYERS\n================\n\nBackground\nTarget\nPlayer, Wall, Crate\n\n======\nRULES\n======\n\n[ > Player | Crate ] -> [ > Player | > Crate ]\n\n==============\nWINCONDITIONS\n==============\n\nAll Target on Crate\n\n=======\nLEVELS\n=======\n\n#######\n#P....#\n#.*.*.#\n#..O.O#\n#######\n\n#####\n#P..#\n#..*#\n#O###\n#####\n",
+		[],
+		{"9,9": "not in the level", "0,1": "not in the level", "banana": "not an object or property"}]
+	]
+];
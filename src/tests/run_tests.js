@@ -0,0 +1,268 @@
+// Run the QUnit test suites from the command line, without a browser
+// Loads the engine headless, then the same framework, data and suites as tests.html, with just
+// enough of QUnit to collect and run the tests, and then the suites that need Node.
+//
+// node run_tests.js [options]
+//   --suite <text>      only run suites whose name contains text (may be repeated)
+//   --filter <text>     only run tests whose name contains text (may be repeated)
+//   --format tap|junit  output format (default tap)
+//   --output <file>     write results to file instead of stdout
+//   --errorsonly        compare error messages but not warnings in compile tests
+//   --list              list the suites and tests without running them
+// npm test
+//
+// Tests listed in resources/known_failures.js are reported as TODO, and do not fail the run.
+// A test may return a promise, which fails the test if it doesn't settle within
+// QUnit.config.testTimeout.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Game, loadEngine, runQuietly, stripHTML } = require('../node/headless.js');
+const { WebWorker } = require('./webworker.js');
+
+const resources = path.join(__dirname, 'resources');
+const scripts = [
+	'testingFrameWork.js',
+	'testdata.js',
+	'errormessage_testdata.js',
+	'plus_testdata.js',
+	'plus_errormessage_testdata.js',
+	'next_testdata.js',
+	'scripts_data.js',
+	'known_failures.js',
+	'tests.js',
+	// suites that only run here
+	'headless_testdata.js',
+	'solver_testdata.js',
+	'glyph_testdata.js',
+	'replay_testdata.js',
+	'source_testdata.js',
+	'compile_testdata.js',
+	'par_testdata.js',
+	'coverage_testdata.js',
+	'watch_testdata.js',
+	'headless_tests.js',
+];
+// editor scripts, from src, with functions that the Node-only suites call
+const editorScripts = [
+	'js/replay.js',
+	'js/watches.js',
+];
+
+const usage = `usage: node run_tests.js [--suite <text>] [--filter <text>] [--format tap|junit] [--output <file>] [--errorsonly] [--list]`;
+
+function parseArgs(argv) {
+	const options = { suites: [], filters: [], format: 'tap', output: null, errorsonly: false, list: false };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const value = () => {
+			if (i + 1 >= argv.length)
+				throw new Error(`Missing value for ${arg}`);
+			return argv[++i];
+		};
+		if (arg === '--suite') options.suites.push(value().toLowerCase());
+		else if (arg === '--filter') options.filters.push(value().toLowerCase());
+		else if (arg === '--format') options.format = value();
+		else if (arg === '--output') options.output = value();
+		else if (arg === '--errorsonly') options.errorsonly = true;
+		else if (arg === '--list') options.list = true;
+		else throw new Error(`Unknown option ${arg}`);
+	}
+	if (!['tap', 'junit'].includes(options.format))
+		throw new Error(`Unknown format ${options.format}`);
+	return options;
+}
+
+// the parts of QUnit used by testingFrameWork.js and tests.js; tests are collected, then run later
+function createQUnit(options) {
+	const tests = [];
+	let currentModule = null;
+	let assertions = null;
+
+	const QUnit = {
+		config: { urlConfig: [], errorsonly: options.errorsonly, current: null, testTimeout: 5000 },
+		module: (name, body) => {
+			currentModule = name;
+			body();
+			currentModule = null;
+		},
+		test: (name, body) => tests.push({ id: String(tests.length + 1), suite: currentModule, name, body }),
+		begin: () => {},
+		testDone: () => {},
+		assert: {
+			equal: (actual, expected, message) => assertions.push({ ok: actual == expected, message, actual, expected }),
+			true: (value, message) => assertions.push({ ok: value === true, message, actual: value, expected: true }),
+		},
+	};
+
+	// run one test, returning its assertions
+	QUnit.run = async test => {
+		assertions = [];
+		QUnit.config.current = { testId: test.id };
+		const start = Date.now();
+		let timer;
+		try {
+			const timeout = new Promise((resolve, reject) => {
+				timer = setTimeout(() => reject(new Error(`Timed out after ${QUnit.config.testTimeout} ms`)), QUnit.config.testTimeout);
+			});
+			await Promise.race([runQuietly(test.body), timeout]);
+		} catch (error) {
+			assertions.push({ ok: false, message: `Died on test: ${error.message}`, stack: error.stack });
+		} finally {
+			clearTimeout(timer);
+		}
+		const known = known_failures.includes(fullName(test));
+		return { test, assertions, failed: assertions.filter(a => !a.ok), known, time: Date.now() - start };
+	};
+	QUnit.tests = tests;
+	return QUnit;
+}
+
+// load an editor script, with stand-ins for the elements it wires up
+function loadEditorScript(filename) {
+	const getElementById = document.getElementById;
+	document.getElementById = () => Object.assign(new EventTarget(), { style: {} });
+	try {
+		vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+	} finally {
+		document.getElementById = getElementById;
+	}
+}
+
+function fullName(test) {
+	return `${test.suite} > ${test.name}`;
+}
+
+function matches(text, patterns) {
+	return patterns.length === 0 || patterns.some(p => text.toLowerCase().includes(p));
+}
+
+// assertion messages are written for the QUnit page, so turn them back into text
+function plainText(text) {
+	return stripHTML(String(text)).replace(/\s*\n\s*/g, '\n').trim();
+}
+
+function escapeXML(text) {
+	return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// failures that are not listed as known
+function unexpectedFailures(results) {
+	return results.filter(r => r.failed.length > 0 && !r.known);
+}
+
+function formatTAP(results, complete) {
+	const lines = ['TAP version 13', `1..${results.length}`];
+	results.forEach((result, i) => {
+		const ok = result.failed.length === 0;
+		lines.push(`${ok ? 'ok' : 'not ok'} ${i + 1} - ${fullName(result.test)}${result.known ? ' # TODO known failure' : ''}`);
+		if (!ok) {
+			lines.push('  ---');
+			for (const a of result.failed) {
+				lines.push(`  message: ${JSON.stringify(plainText(a.message))}`);
+				if ('expected' in a) {
+					lines.push(`  expected: ${JSON.stringify(a.expected)}`);
+					lines.push(`  actual: ${JSON.stringify(a.actual)}`);
+				}
+				if (a.stack)
+					lines.push(`  stack: ${JSON.stringify(a.stack)}`);
+			}
+			lines.push('  ...');
+		}
+	});
+	const failed = results.filter(r => r.failed.length > 0).length;
+	const known = results.filter(r => r.failed.length > 0 && r.known).length;
+	// some tests share a name, and the list cannot tell them apart. Some also pass or fail depending
+	// on the tests run before them, so only a complete run can tell which are fixed.
+	const stillFailing = new Set(results.filter(r => r.failed.length > 0 && r.known).map(r => fullName(r.test)));
+	const fixed = new Set(results.filter(r => r.known && !stillFailing.has(fullName(r.test))).map(r => fullName(r.test)));
+	lines.push(`# tests ${results.length}`, `# pass ${results.length - failed}`, `# fail ${failed - known}`, `# todo ${known}`);
+	for (const name of complete ? fixed : [])
+		lines.push(`# known failure passed, and can be removed from resources/known_failures.js: ${name}`);
+	return lines.join('\n') + '\n';
+}
+
+function formatJUnit(results) {
+	const seconds = ms => (ms / 1000).toFixed(3);
+	const suites = new Map();
+	for (const result of results) {
+		if (!suites.has(result.test.suite))
+			suites.set(result.test.suite, []);
+		suites.get(result.test.suite).push(result);
+	}
+	const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<testsuites>'];
+	for (const [suite, suiteResults] of suites) {
+		const failures = unexpectedFailures(suiteResults).length;
+		const skipped = suiteResults.filter(r => r.failed.length > 0 && r.known).length;
+		const time = suiteResults.reduce((t, r) => t + r.time, 0);
+		lines.push(`  <testsuite name="${escapeXML(suite)}" tests="${suiteResults.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}">`);
+		for (const result of suiteResults) {
+			const testcase = `    <testcase classname="${escapeXML(suite)}" name="${escapeXML(result.test.name)}" time="${seconds(result.time)}"`;
+			if (result.failed.length === 0) {
+				lines.push(testcase + '/>');
+				continue;
+			}
+			lines.push(testcase + '>');
+			if (result.known) {
+				lines.push('      <skipped message="known failure"/>');
+				lines.push('    </testcase>');
+				continue;
+			}
+			for (const a of result.failed) {
+				const detail = 'expected' in a ? `Expected: ${a.expected}\nActual: ${a.actual}` : a.stack || '';
+				lines.push(`      <failure message="${escapeXML(plainText(a.message).split('\n')[0])}">${escapeXML(plainText(a.message) + '\n' + detail)}</failure>`);
+			}
+			lines.push('    </testcase>');
+		}
+		lines.push('  </testsuite>');
+	}
+	lines.push('</testsuites>');
+	return lines.join('\n') + '\n';
+}
+
+async function main() {
+	let options;
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (error) {
+		console.error(`${error.message}\n${usage}`);
+		return 2;
+	}
+
+	loadEngine();
+	globalThis.Game = Game;
+	globalThis.Worker = WebWorker;		// for searchLevelInWorker()
+	globalThis.QUnit = createQUnit(options);
+	for (const script of editorScripts)
+		loadEditorScript(path.join(__dirname, '..', script));
+	for (const script of scripts) {
+		const filename = path.join(resources, script);
+		vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+	}
+
+	const selected = QUnit.tests.filter(t => matches(t.suite, options.suites) && matches(t.name, options.filters));
+	if (options.list) {
+		for (const test of selected)
+			console.log(fullName(test));
+		return 0;
+	}
+
+	const results = [];
+	for (const test of selected) {
+		results.push(await QUnit.run(test));
+		if (options.output)
+			process.stderr.write(results.at(-1).failed.length === 0 ? '.' : results.at(-1).known ? 'T' : 'F');
+	}
+	const report = options.format === 'junit' ? formatJUnit(results) : formatTAP(results, selected.length === QUnit.tests.length);
+	if (options.output) {
+		fs.writeFileSync(options.output, report);
+		const failed = results.filter(r => r.failed.length > 0);
+		const unexpected = unexpectedFailures(results);
+		process.stderr.write(`\n${results.length - failed.length} passed, ${unexpected.length} failed, ${failed.length - unexpected.length} known failures\n`);
+	} else
+		process.stdout.write(report);
+	return unexpectedFailures(results).length === 0 ? 0 : 1;
+}
+
+main().then(code => process.exitCode = code);
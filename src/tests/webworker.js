@@ -0,0 +1,49 @@
+// A Web Worker for run_tests.js, made from a Node worker thread, so that the tests can run the
+// solver in its worker (js/solverworker.js) the way the editor does. Only what the editor uses is
+// there: onmessage, onerror, postMessage() and terminate(), and importScripts() in the worker.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const srcDir = path.join(__dirname, '..');
+
+// the page side; url is relative to src, as it is to the editor
+class WebWorker {
+	constructor(url) {
+		this.onmessage = null;
+		this.onerror = null;
+		this.thread = new Worker(__filename, { workerData: { script: path.join(srcDir, url) } });
+		this.thread.unref();		// a test that fails must not keep the runner going
+		this.thread.on('message', data => this.onmessage && this.onmessage({ data }));
+		this.thread.on('error', error => this.onerror && this.onerror({ message: error.message, preventDefault: () => {} }));
+	}
+
+	postMessage(data) {
+		this.thread.postMessage(data);
+	}
+
+	terminate() {
+		this.thread.terminate();
+	}
+}
+
+// the worker side: load the script with the globals of a Web Worker
+if (!isMainThread) {
+	const scriptDir = path.dirname(workerData.script);
+	console.log = () => {};		// the engine's debugging output would mix with the test results
+	require('../node/headless.js').provideCustomEvent();
+	globalThis.self = globalThis;
+	globalThis.importScripts = (...scripts) => {
+		for (const script of scripts) {
+			const filename = path.join(scriptDir, script);
+			vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+		}
+	};
+	globalThis.postMessage = data => parentPort.postMessage(data);
+	parentPort.on('message', data => self.onmessage({ data }));
+	importScripts(path.basename(workerData.script));
+}
+
+module.exports = { WebWorker };